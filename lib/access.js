@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most buckets or quota counters kept before idle ones are dropped
+const MAX_TRACKED_CLIENTS = 10000;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+// API keys from a comma-separated list. Each entry is either `id:key`, with
+// the id used in logs and limits, or just the key, which gets an id derived
+// from its hash.
+function parseApiKeys(value) {
+    const entries = Array.isArray(value) ? value : (value || '').split(',');
+
+    return entries
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            const key = separator > 0 ? entry.slice(separator + 1) : entry;
+            const id = separator > 0 ? entry.slice(0, separator) : `key-${sha256(key).slice(0, 8)}`;
+            return { id, key };
+        });
+}
+
+// Sign a widget token: a short-lived credential for browser widgets, which
+// can't keep an API key secret. sub names the client it is issued to;
+// origins, if given, are the only sites the token is accepted from.
+function signWidgetToken({ sub, ttlSeconds = 3600, origins }, secret, now = Date.now) {
+    const payload = { sub, exp: Math.floor(now() / 1000) + ttlSeconds };
+    if (origins && origins.length > 0) payload.origins = origins;
+
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${signature}`;
+}
+
+// Check a widget token's signature and expiry. Returns the payload, or
+// { error } if it isn't valid.
+function verifyWidgetToken(token, secret, now = Date.now) {
+    const [body, signature, extra] = token.split('.');
+    if (!body || !signature || extra !== undefined) {
+        return { error: 'Malformed token' };
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(body).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { error: 'Invalid token signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+        return { error: 'Malformed token' };
+    }
+    if (!payload || typeof payload.sub !== 'string' || typeof payload.exp !== 'number') {
+        return { error: 'Malformed token' };
+    }
+    if (payload.exp * 1000 <= now()) {
+        return { error: 'Token has expired' };
+    }
+    return payload;
+}
+
+// Token buckets: each key may make `burst` requests at once, refilled at
+// perMinute requests a minute. take(key) spends one request and returns 0,
+// or the milliseconds until one is available if the bucket is empty.
+function createRateLimiter({ perMinute, burst = perMinute, now = Date.now }) {
+    const buckets = new Map();
+    const refillPerMs = perMinute / 60000;
+
+    // Drop buckets that have refilled completely; they behave like new ones
+    function prune(at) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + (at - bucket.updatedAt) * refillPerMs >= burst) buckets.delete(key);
+        }
+    }
+
+    return {
+        take(key) {
+            if (!(perMinute > 0)) return 0;
+
+            const at = now();
+            const bucket = buckets.get(key) || { tokens: burst, updatedAt: at };
+            bucket.tokens = Math.min(burst, bucket.tokens + (at - bucket.updatedAt) * refillPerMs);
+            bucket.updatedAt = at;
+
+            if (bucket.tokens < 1) {
+                buckets.set(key, bucket);
+                return Math.ceil((1 - bucket.tokens) / refillPerMs);
+            }
+
+            bucket.tokens -= 1;
+            buckets.set(key, bucket);
+            if (buckets.size > MAX_TRACKED_CLIENTS) prune(at);
+            return 0;
+        }
+    };
+}
+
+// Tokens used per key per UTC day. remaining(key) is what's left of the
+// quota today, or Infinity without one.
+function createDailyQuota({ tokensPerDay, now = Date.now }) {
+    const usage = new Map();
+    const today = () => Math.floor(now() / DAY_MS);
+
+    function usedToday(key) {
+        const entry = usage.get(key);
+        return entry && entry.day === today() ? entry.used : 0;
+    }
+
+    return {
+        remaining(key) {
+            if (!(tokensPerDay > 0)) return Infinity;
+            return Math.max(0, tokensPerDay - usedToday(key));
+        },
+
+        record(key, tokens) {
+            if (!(tokensPerDay > 0)) return;
+
+            const day = today();
+            if (usage.size > MAX_TRACKED_CLIENTS) {
+                for (const [other, entry] of usage) {
+                    if (entry.day !== day) usage.delete(other);
+                }
+            }
+            usage.set(key, { day, used: usedToday(key) + tokens });
+        },
+
+        // Milliseconds until the quotas reset at midnight UTC
+        msUntilReset() {
+            return (today() + 1) * DAY_MS - now();
+        }
+    };
+}
+
+// Header lookup that works for both Express (lower-case names) and Netlify
+// events (names as sent)
+function getHeader(headers, name) {
+    if (!headers) return undefined;
+    if (headers[name] !== undefined) return headers[name];
+    const found = Object.keys(headers).find(key => key.toLowerCase() === name);
+    return found === undefined ? undefined : headers[found];
+}
+
+// Who may call /chat and how much. Shared by the adapters, which call
+// check() before handling a request:
+//
+// - apiKeys: [{ id, key }] accepted as `Authorization: Bearer <key>` or
+//   `X-API-Key: <key>`
+// - tokenSecret: secret for widget tokens (see signWidgetToken), sent as
+//   `Authorization: Bearer <token>`
+// - corsOrigins: origins browsers may call from, or ['*']
+// - rateLimitPerMinute/rateLimitBurst: token bucket per client (API key,
+//   widget token subject, or IP address for anonymous callers)
+// - ipRateLimitPerMinute: token bucket per IP address, whatever the client
+// - dailyTokenQuota: estimated LLM tokens per client per UTC day
+//
+// Without API keys or a token secret, requests don't need credentials.
+// Limits of 0 are off. Buckets and quotas are kept in memory, so each
+// instance (or warm Netlify function) counts separately.
+function createAccessControl({
+    apiKeys = [],
+    tokenSecret = null,
+    corsOrigins = ['*'],
+    rateLimitPerMinute = 0,
+    rateLimitBurst = rateLimitPerMinute,
+    ipRateLimitPerMinute = 0,
+    dailyTokenQuota = 0,
+    now = Date.now
+} = {}) {
+    const keysByHash = new Map(apiKeys.map(({ id, key }) => [sha256(key), id]));
+    const authRequired = keysByHash.size > 0 || Boolean(tokenSecret);
+    const anyOrigin = corsOrigins.includes('*');
+
+    const clientLimiter = createRateLimiter({ perMinute: rateLimitPerMinute, burst: rateLimitBurst || rateLimitPerMinute, now });
+    const ipLimiter = createRateLimiter({ perMinute: ipRateLimitPerMinute, now });
+    const quota = createDailyQuota({ tokensPerDay: dailyTokenQuota, now });
+
+    function isOriginAllowed(origin) {
+        return !origin || anyOrigin || corsOrigins.includes(origin);
+    }
+
+    // Work out who is calling. Returns { client: { id, kind } } or
+    // { statusCode, error }.
+    function authenticate(headers, ip) {
+        const authorization = getHeader(headers, 'authorization') || '';
+        const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+        const credential = getHeader(headers, 'x-api-key') || bearer;
+
+        if (!credential) {
+            if (authRequired) return { statusCode: 401, error: 'An API key or widget token is required' };
+            return { client: { id: `ip:${ip}`, kind: 'anonymous' } };
+        }
+
+        // Hashing first makes the lookup take the same time for any key
+        const keyId = keysByHash.get(sha256(credential));
+        if (keyId) {
+            return { client: { id: `key:${keyId}`, kind: 'key' } };
+        }
+
+        if (tokenSecret && credential.includes('.')) {
+            const token = verifyWidgetToken(credential, tokenSecret, now);
+            if (token.error) {
+                return { statusCode: 401, error: token.error };
+            }
+            if (token.origins && !token.origins.includes(getHeader(headers, 'origin'))) {
+                return { statusCode: 403, error: 'Token is not valid for this origin' };
+            }
+            return { client: { id: `token:${token.sub}`, kind: 'token' } };
+        }
+
+        return { statusCode: 401, error: 'Invalid API key' };
+    }
+
+    function tooManyRequests(error, retryAfterMs) {
+        return { statusCode: 429, error, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+    }
+
+    return {
+        authRequired,
+        corsOrigins,
+        isOriginAllowed,
+
+        // CORS headers for a response to a request from origin
+        corsHeaders(origin) {
+            if (anyOrigin) return { 'Access-Control-Allow-Origin': '*' };
+            if (!origin || !corsOrigins.includes(origin)) return { 'Vary': 'Origin' };
+            return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+        },
+
+        // Check a /chat request's origin, credentials, rate limits and
+        // quota. Returns { client } to go ahead, or { statusCode, error }
+        // (with retryAfterSeconds for 429s).
+        check({ headers, ip }) {
+            if (!isOriginAllowed(getHeader(headers, 'origin'))) {
+                return { statusCode: 403, error: 'Origin not allowed' };
+            }
+
+            const result = authenticate(headers, ip);
+            if (result.error) return result;
+            const { client } = result;
+
+            const ipWait = ipLimiter.take(`ip:${ip}`);
+            if (ipWait > 0) {
+                return tooManyRequests('Too many requests from this address', ipWait);
+            }
+            const clientWait = clientLimiter.take(client.id);
+            if (clientWait > 0) {
+                return tooManyRequests('Too many requests', clientWait);
+            }
+            if (quota.remaining(client.id) <= 0) {
+                return tooManyRequests('Daily token quota used up', quota.msUntilReset());
+            }
+
+            return { client };
+        },
+
+        // Count tokens a request used against its client's daily quota
+        recordUsage(client, tokens) {
+            if (client) quota.record(client.id, tokens);
+        }
+    };
+}
+
+module.exports = {
+    parseApiKeys,
+    signWidgetToken,
+    verifyWidgetToken,
+    createRateLimiter,
+    createDailyQuota,
+    createAccessControl
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createRedisClient } = require('./redisClient');
+const { defaultLogger } = require('./logger');
+
+// Cache stores hold JSON-serializable values under string keys, each with
+// its own time to live. All methods are async so stores backed by files or
+// a server look the same as the in-memory one:
+//
+// - get(key): the value, or undefined if missing or expired
+// - set(key, value, ttlMs)
+// - delete(key)
+// - clear(prefix): remove every key starting with prefix
+
+// In-memory store that drops the least recently used entry once it holds
+// maxEntries. Map keeps insertion order, so re-inserting on each hit keeps
+// the oldest entry first.
+function createMemoryStore({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return undefined;
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async clear(prefix = '') {
+            for (const key of [...entries.keys()]) {
+                if (key.startsWith(prefix)) entries.delete(key);
+            }
+        }
+    };
+}
+
+// Store keeping one JSON file per entry in dir, so cached pages and answers
+// survive restarts. Expired files are removed when next read or cleared.
+function createFileStore({ dir }) {
+    const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+    async function readEntry(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    return {
+        async get(key) {
+            const file = fileFor(key);
+            const entry = await readEntry(file);
+            if (!entry || entry.key !== key) return undefined;
+
+            if (entry.expiresAt <= Date.now()) {
+                await fs.promises.rm(file, { force: true });
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = fileFor(key);
+            // Write then rename so readers never see a half-written file
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temp, JSON.stringify({ key, value, expiresAt: Date.now() + ttlMs }));
+            await fs.promises.rename(temp, file);
+        },
+
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        },
+
+        async clear(prefix = '') {
+            let names;
+            try {
+                names = await fs.promises.readdir(dir);
+            } catch (e) {
+                return;
+            }
+
+            for (const name of names.filter(name => name.endsWith('.json'))) {
+                const file = path.join(dir, name);
+                const entry = await readEntry(file);
+                // Leave files that aren't cache entries alone, including
+                // ones that aren't JSON at all
+                if (!entry || typeof entry.key !== 'string') continue;
+                if (entry.key.startsWith(prefix) || entry.expiresAt <= Date.now()) {
+                    await fs.promises.rm(file, { force: true });
+                }
+            }
+        }
+    };
+}
+
+// Store on a Redis-compatible server, shared by every instance of the
+// backend. Keys are namespaced with keyPrefix and expire on the server.
+function createRedisStore({ url, keyPrefix = 'chat-docs:', client = createRedisClient({ url }) }) {
+    return {
+        async get(key) {
+            const raw = await client.command(['GET', keyPrefix + key]);
+            return raw === null ? undefined : JSON.parse(raw);
+        },
+
+        async set(key, value, ttlMs) {
+            await client.command(['SET', keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs))]);
+        },
+
+        async delete(key) {
+            await client.command(['DEL', keyPrefix + key]);
+        },
+
+        async clear(prefix = '') {
+            // Glob characters in the prefix are escaped so they match literally
+            const pattern = `${(keyPrefix + prefix).replace(/[*?[\]\\]/g, '\\$&')}*`;
+            let cursor = '0';
+            do {
+                const [next, keys] = await client.command(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 100]);
+                if (keys.length > 0) {
+                    await client.command(['DEL', ...keys]);
+                }
+                cursor = next;
+            } while (cursor !== '0');
+        }
+    };
+}
+
+// A named cache on a shared store with its own TTL and hit/miss counters.
+// A TTL of 0 turns the cache off. Store errors are logged and treated as
+// misses so a broken cache never fails a request.
+function createCache({ name, store, ttlMs, logger = defaultLogger }) {
+    const counters = { hits: 0, misses: 0, sets: 0, errors: 0 };
+    const prefix = `${name}:`;
+    const enabled = ttlMs > 0;
+
+    return {
+        name,
+        enabled,
+        ttlMs,
+
+        async get(key) {
+            if (!enabled) return undefined;
+
+            try {
+                const value = await store.get(prefix + key);
+                if (value === undefined) {
+                    counters.misses++;
+                } else {
+                    counters.hits++;
+                }
+                return value;
+            } catch (error) {
+                counters.errors++;
+                counters.misses++;
+                logger.error('Error reading cache', { cache: name, error });
+                return undefined;
+            }
+        },
+
+        // Store a value, optionally for longer than the cache's TTL (used to
+        // keep pages around for revalidation after they go stale)
+        async set(key, value, entryTtlMs = ttlMs) {
+            if (!enabled) return;
+
+            try {
+                await store.set(prefix + key, value, entryTtlMs);
+                counters.sets++;
+            } catch (error) {
+                counters.errors++;
+                logger.error('Error writing cache', { cache: name, error });
+            }
+        },
+
+        async purge() {
+            await store.clear(prefix);
+        },
+
+        stats() {
+            const lookups = counters.hits + counters.misses;
+            return {
+                enabled,
+                ttlSeconds: Math.round(ttlMs / 1000),
+                ...counters,
+                hitRate: lookups > 0 ? counters.hits / lookups : 0
+            };
+        }
+    };
+}
+
+// Key for a query, so that "How do I install?" and "how do i  install" share
+// a cache entry
+function normalizeQuery(query) {
+    return (query || '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/[\s?!.]+$/, '')
+        .trim();
+}
+
+function createStore(settings) {
+    if (settings.cacheBackend === 'file') {
+        return createFileStore({ dir: settings.cacheDir });
+    }
+    if (settings.cacheBackend === 'redis') {
+        return createRedisStore({ url: settings.redisUrl });
+    }
+    return createMemoryStore({ maxEntries: settings.cacheMaxEntries });
+}
+
+// The pipeline's caches, sharing one store picked by settings.cacheBackend
+// ('memory', 'file' or 'redis'):
+//
+// - search: MCP search results per source and normalized query
+// - pages: fetched pages per URL, revalidated with ETag/Last-Modified
+// - answers: whole answers to first questions (off unless a TTL is set)
+function createCaches(settings, { logger = defaultLogger, store = createStore(settings) } = {}) {
+    const caches = {
+        search: createCache({ name: 'search', store, ttlMs: settings.searchCacheTtlMs, logger }),
+        pages: createCache({ name: 'pages', store, ttlMs: settings.pageCacheTtlMs, logger }),
+        answers: createCache({ name: 'answers', store, ttlMs: settings.answerCacheTtlMs, logger })
+    };
+
+    return {
+        ...caches,
+
+        stats() {
+            return Object.fromEntries(Object.entries(caches).map(([name, cache]) => [name, cache.stats()]));
+        },
+
+        // Purge one cache by name, or all of them. Returns the names purged,
+        // or null for an unknown name.
+        async purge(name) {
+            if (name && !caches[name]) return null;
+
+            const purged = name ? [caches[name]] : Object.values(caches);
+            for (const cache of purged) {
+                await cache.purge();
+            }
+            return purged.map(cache => cache.name);
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    createCache,
+    createCaches,
+    normalizeQuery
+};
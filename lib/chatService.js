@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { resolveConversation } = require('./conversations');
+const { countTokens } = require('./tokenizer');
+const { createDeadline } = require('./deadline');
+const { defaultLogger, runInRequest, currentRequest } = require('./logger');
+const { createTranscriptStore, parseFeedback } = require('./transcripts');
+
+// Chat modes: 'pipeline' runs the fixed search/select/fetch/answer steps,
+// 'agent' lets the model call the MCP servers' tools itself
+const CHAT_MODES = ['pipeline', 'agent'];
+
+// Map a pipeline error to the message shown to the user
+function getErrorMessage(error) {
+    let errorMessage = 'I apologize, but I encountered an error. ';
+
+    if (error.message && error.message.includes('401')) {
+        errorMessage += 'Please check that your Cerebras API key is valid.';
+    } else if (error.status === 404 && error.message && error.message.includes('model')) {
+        errorMessage += 'The configured model is not available. Please check the server\'s model configuration.';
+    } else if (error.message && error.message.includes('model')) {
+        errorMessage += 'There might be an issue with the model selection.';
+    } else {
+        errorMessage += 'Please try again later or check the server logs for more details.';
+    }
+
+    return errorMessage;
+}
+
+// Rough count of the LLM tokens a request used: its message and history,
+// the docs context and the answer. Cached answers cost nothing.
+function estimateUsage(request, response, metadata) {
+    if (metadata.cached) return 0;
+
+    const history = (request.history || []).reduce((sum, msg) => sum + countTokens(msg.content, request.model), 0);
+    return countTokens(request.message, request.model) + history + Math.ceil((metadata.contextLength || 0) / 4) + countTokens(response, request.model);
+}
+
+// The LLM tokens a request used, as the API reported them for all of its
+// calls, or estimated when the API reported none
+function tokensUsed(request, response, metadata, usage) {
+    const reported = usage ? usage.promptTokens + usage.completionTokens : 0;
+    return reported > 0 ? reported : estimateUsage(request, response, metadata);
+}
+
+// Format a single Server-Sent Event
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// The /chat request/response protocol, independent of any HTTP framework.
+// Adapters parse the request body, call prepare() and then either
+// respond() for a JSON reply or stream() for Server-Sent Events.
+//
+// timeLimitMs is how long a request may take end to end; see
+// answerQuestion in pipeline.js for how the pipeline keeps to it.
+// allowedModels are the models a request may ask for with `model`.
+// recordUsage(client, tokens) is told the tokens each answered request
+// used, for daily quotas (see access.js). recordRequest is told
+// how each request that ran turned out, with its spans (see metrics.js).
+// Every answer is kept in transcripts under the answerId returned with it,
+// for feedback() to refer to.
+function createChatService({ pipeline, docSources, conversationStore, transcripts = createTranscriptStore(), defaultMode = 'pipeline', timeLimitMs = 25000, allowedModels = [], recordUsage = () => {}, recordRequest = () => {}, logger = defaultLogger }) {
+    // Remember the finished exchange for clients using server-side history
+    // and in the transcripts, and count it against the client's quota.
+    // Returns the answer's id.
+    function saveExchange(request, response, sources, metadata, usage) {
+        recordUsage(request.client, tokensUsed(request, response, metadata, usage));
+
+        const answerId = crypto.randomUUID();
+        transcripts.recordAnswer({
+            answerId,
+            requestId: request.requestId,
+            client: request.client ? request.client.id : null,
+            conversationId: request.conversationId || null,
+            mode: metadata.mode,
+            model: metadata.model,
+            sources: metadata.sources,
+            question: request.message,
+            searchQuery: metadata.searchQuery || null,
+            selectedUrls: metadata.selectedUrls || [],
+            sourceUrls: sources.map(source => source.url).filter(Boolean),
+            contextDigest: metadata.contextDigest || null,
+            answer: response,
+            grounding: metadata.grounding ? { score: metadata.grounding.score, action: metadata.grounding.action } : null,
+            degradations: metadata.degradations || [],
+            cached: Boolean(metadata.cached)
+        });
+
+        if (request.conversationId) {
+            conversationStore.append(request.conversationId, [
+                { role: 'user', content: request.message },
+                { role: 'assistant', content: response }
+            ], request.client ? request.client.id : null);
+        }
+        return answerId;
+    }
+
+    function runOptions({ history, mode, sources, deadline, model }) {
+        return { history, mode, sources, deadline, model };
+    }
+
+    // Run fn as the handling of request, so everything logged on the way
+    // carries its id and the pipeline's spans nest under one 'chat' span.
+    // The result comes back with the LLM tokens the request used, as the
+    // API reported them.
+    function traced(request, fn) {
+        return runInRequest(request.requestId, async () => {
+            const { spans, usage } = currentRequest();
+            try {
+                const result = await logger.span('chat', {
+                    mode: request.mode,
+                    sources: request.sources.map(source => source.id),
+                    client: request.client ? request.client.id : undefined,
+                    message: request.message
+                }, fn);
+                recordRequest({ mode: request.mode, outcome: result.metadata.cached ? 'cached' : 'answered', spans });
+                return { ...result, usage: { ...usage } };
+            } catch (error) {
+                recordRequest({ mode: request.mode, outcome: 'error', spans });
+                throw error;
+            }
+        });
+    }
+
+    return {
+        // Validate a /chat request body. Returns { error } for a bad request,
+        // otherwise the request to pass to respond() or stream(). The
+        // request's deadline starts now; adapters running under a shorter
+        // platform limit pass the time they have left as timeLimitMs.
+        // client is who access control let through, if anyone, and
+        // requestId the id the adapter returns with the reply.
+        prepare(body, { timeLimitMs: platformLimitMs, client = null, requestId = crypto.randomUUID() } = {}) {
+            if (!body || typeof body !== 'object') {
+                return { error: 'Request body must be a JSON object' };
+            }
+
+            const conversation = resolveConversation(body, conversationStore, client ? client.id : null);
+            if (conversation.error) {
+                return { error: conversation.error };
+            }
+
+            const mode = body.mode || defaultMode;
+            if (!CHAT_MODES.includes(mode)) {
+                return { error: `mode must be one of: ${CHAT_MODES.join(', ')}` };
+            }
+
+            const selection = docSources.select(body.source);
+            if (selection.error) {
+                return { error: selection.error };
+            }
+
+            if (body.model !== undefined && body.model !== null) {
+                if (typeof body.model !== 'string' || !allowedModels.includes(body.model)) {
+                    return { error: `Unknown model: ${body.model}. Allowed models: ${allowedModels.join(', ')}` };
+                }
+            }
+
+            const limit = platformLimitMs > 0 ? Math.min(timeLimitMs, platformLimitMs) : timeLimitMs;
+            return {
+                ...conversation,
+                mode,
+                sources: selection.sources,
+                model: body.model || undefined,
+                deadline: createDeadline(limit),
+                client,
+                requestId
+            };
+        },
+
+        // Run the pipeline and build the JSON reply as { statusCode, body }
+        async respond(request) {
+            try {
+                const { response, sources, metadata, usage } = await traced(request, () => pipeline.run(request.message, runOptions(request)));
+                const answerId = saveExchange(request, response, sources, metadata, usage);
+
+                return {
+                    statusCode: 200,
+                    body: { response, sources, conversationId: request.conversationId, answerId, usage, metadata }
+                };
+            } catch (error) {
+                logger.error('Error in chat endpoint', { requestId: request.requestId, error });
+
+                return {
+                    statusCode: 500,
+                    body: {
+                        error: 'Failed to process request',
+                        response: getErrorMessage(error)
+                    }
+                };
+            }
+        },
+
+        // Run the pipeline, calling send(event, data) with progress events
+        // for each step, delta events with answer text, then a done (or
+        // error) event
+        async stream(request, send) {
+            try {
+                const { response, sources, metadata, usage } = await traced(request, () => pipeline.run(request.message, {
+                    ...runOptions(request),
+                    onProgress: (step, details) => send('progress', { step, ...details }),
+                    onDelta: (content) => send('delta', { content })
+                }));
+                const answerId = saveExchange(request, response, sources, metadata, usage);
+                send('done', { response, sources, conversationId: request.conversationId, answerId, usage, metadata });
+            } catch (error) {
+                logger.error('Error in streaming chat endpoint', { requestId: request.requestId, error });
+                send('error', {
+                    error: 'Failed to process request',
+                    response: getErrorMessage(error)
+                });
+            }
+        },
+
+        // Store a POST /feedback body (answerId, rating 'up' or 'down', and an
+        // optional reason and correction) as { statusCode, body }
+        feedback(body, { client = null } = {}) {
+            const { feedback, error } = parseFeedback(body);
+            if (error) {
+                return { statusCode: 400, body: { error } };
+            }
+
+            if (!transcripts.recordFeedback({ ...feedback, client: client ? client.id : null })) {
+                return { statusCode: 404, body: { error: `Unknown answerId: ${feedback.answerId}` } };
+            }
+            return { statusCode: 200, body: { ok: true } };
+        }
+    };
+}
+
+module.exports = {
+    CHAT_MODES,
+    createChatService,
+    formatEvent,
+    getErrorMessage
+};
@@ -0,0 +1,111 @@
+const { normalizeLink } = require('./docSources');
+const { dataBlock } = require('./injection');
+
+// Length of the snippet returned to clients for each source
+const SNIPPET_LENGTH = 300;
+
+// Inline citation markers such as [1] or [1, 3]. Markers directly after a
+// word character (e.g. `args[0]`) are indexing, not citations.
+const CITATION_PATTERN = /[ \t]?(?<!\w)\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Fenced code blocks and inline code spans are left untouched
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/;
+
+function makeSnippet(text) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > SNIPPET_LENGTH ? `${clean.substring(0, SNIPPET_LENGTH)}...` : clean;
+}
+
+// Build the numbered sources an answer can be based on: the fetched pages
+// first, then the search result summaries of the pages that weren't
+// fetched. Each source keeps its full `content` for the prompt; see
+// toPublicSources.
+function buildSources(searchItems, pages) {
+    const fetched = (pages || []).map(page => {
+        const item = searchItems.find(searchItem =>
+            searchItem.link && normalizeLink(searchItem.link) === normalizeLink(page.url)) || {};
+        return {
+            title: item.title || page.url,
+            url: page.url,
+            snippet: makeSnippet(item.content || page.content),
+            usedFullContent: true,
+            sourceId: item.sourceId || null,
+            sourceName: item.sourceName || null,
+            content: page.content
+        };
+    });
+    const fetchedLinks = new Set(fetched.map(page => normalizeLink(page.url)));
+
+    const summaries = searchItems
+        .filter(item => !item.link || !fetchedLinks.has(normalizeLink(item.link)))
+        .map(item => ({
+            title: item.title,
+            url: item.link || null,
+            snippet: makeSnippet(item.content),
+            usedFullContent: false,
+            sourceId: item.sourceId || null,
+            sourceName: item.sourceName || null,
+            content: item.content || ''
+        }));
+
+    return [...fetched, ...summaries].map((source, i) => ({ id: i + 1, ...source }));
+}
+
+// Each source as a delimited <document> block labelled with its citation
+// number (and the doc source it came from) for the prompt. The page text is
+// escaped so it can't close the block (see injection.js).
+function formatSourcesForPrompt(sources) {
+    return sources
+        .map(source => dataBlock('document', source.content, {
+            index: source.id,
+            title: source.title,
+            url: source.url,
+            from: source.sourceName
+        }))
+        .join('\n\n');
+}
+
+// Sources as returned to clients, without the full page content
+function toPublicSources(sources) {
+    return sources.map(({ content, ...source }) => source);
+}
+
+// Remove citation markers that don't point at one of the sources. Returns
+// the cleaned text with the ids that were cited and the ones removed.
+function validateCitations(text, sources) {
+    const validIds = new Set(sources.map(source => source.id));
+    const cited = new Set();
+    const invalid = new Set();
+
+    const response = (text || '')
+        .split(CODE_PATTERN)
+        .map((segment, i) => {
+            // split() with a capture group puts the code matches at odd indexes
+            if (i % 2 === 1) return segment;
+
+            return segment.replace(CITATION_PATTERN, (match, group) => {
+                const ids = group.split(',').map(id => parseInt(id, 10));
+                const kept = ids.filter(id => validIds.has(id));
+
+                ids.filter(id => !validIds.has(id)).forEach(id => invalid.add(id));
+                kept.forEach(id => cited.add(id));
+
+                if (kept.length === 0) return '';
+                return match.replace(`[${group}]`, `[${kept.join(', ')}]`);
+            });
+        })
+        .join('');
+
+    return {
+        response,
+        citedSourceIds: [...cited].sort((a, b) => a - b),
+        invalidCitations: [...invalid].sort((a, b) => a - b)
+    };
+}
+
+module.exports = {
+    buildSources,
+    formatSourcesForPrompt,
+    toPublicSources,
+    validateCitations
+};
@@ -0,0 +1,112 @@
+const { countTokens, truncateToTokens } = require('./tokenizer');
+const { splitSections, queryTerms, scoreSection } = require('./extract');
+const { formatSourcesForPrompt } = require('./citations');
+
+// Smallest part of a chunk worth keeping when it has to be cut to fit
+const MIN_CUT_TOKENS = 50;
+
+// Tokens between two chunks of a document and between two documents
+const SEPARATOR_TOKENS = 1;
+
+// Split sources into the chunks that are ranked: each section of a fetched
+// page, and each search summary whole, with their tokens for model
+function chunkSources(sources, terms, model) {
+    return sources.flatMap(source => {
+        const sections = source.usedFullContent
+            ? splitSections(source.content)
+            : [{ heading: source.title || '', text: source.content }];
+
+        return sections
+            .filter(section => section.text && section.text.trim())
+            .map((section, index) => ({
+                source,
+                index,
+                heading: source.usedFullContent ? section.heading || null : null,
+                text: section.text,
+                tokens: countTokens(section.text, model),
+                // A page's introduction counts extra, as in extract.js
+                score: scoreSection(section, terms) + (source.usedFullContent && index === 0 ? 1 : 0)
+            }));
+    });
+}
+
+// Tokens of a source's <document> tags without its content
+function documentOverhead(source, model) {
+    return countTokens(formatSourcesForPrompt([{ ...source, content: '' }]), model);
+}
+
+function describeChunk(chunk, extra = {}) {
+    return {
+        url: chunk.source.url,
+        title: chunk.source.title,
+        kind: chunk.source.usedFullContent ? 'page' : 'summary',
+        section: chunk.heading,
+        tokens: chunk.tokens,
+        score: Math.round(chunk.score * 100) / 100,
+        ...extra
+    };
+}
+
+// Fill a token budget with the chunks of the sources (from buildSources)
+// most relevant to the query. Page sections and search summaries are
+// ranked together; a chunk that doesn't fit is dropped and smaller ones
+// after it may still go in. The first chunk is cut to fit rather than
+// dropped. Sources keep their order and their chunks' page order, and are
+// renumbered without the ones left empty. Tokens are counted for model,
+// the model the context is sent to.
+//
+// Returns { sources, usedTokens, included, dropped }, where included and
+// dropped describe each chunk (url, title, kind, section, tokens, score).
+function packContext(sources, query, budgetTokens, model) {
+    const terms = queryTerms(query);
+    const ranked = chunkSources(sources, terms, model)
+        .sort((a, b) => b.score - a.score ||
+            Number(b.source.usedFullContent) - Number(a.source.usedFullContent) ||
+            a.source.id - b.source.id ||
+            a.index - b.index);
+
+    const kept = new Map();
+    const included = [];
+    const dropped = [];
+    let used = 0;
+
+    for (const chunk of ranked) {
+        const opening = kept.has(chunk.source) ? 0 : documentOverhead(chunk.source, model) + SEPARATOR_TOKENS;
+        const cost = chunk.tokens + opening + SEPARATOR_TOKENS;
+
+        let packed = null;
+        if (used + cost <= budgetTokens) {
+            packed = chunk;
+        } else if (included.length === 0 && budgetTokens - used - (cost - chunk.tokens) >= MIN_CUT_TOKENS) {
+            const text = truncateToTokens(chunk.text, budgetTokens - used - (cost - chunk.tokens), model);
+            packed = { ...chunk, text, tokens: countTokens(text, model), cut: true };
+        }
+
+        if (!packed) {
+            dropped.push(describeChunk(chunk));
+            continue;
+        }
+
+        used += packed.tokens + opening + SEPARATOR_TOKENS;
+        if (!kept.has(chunk.source)) kept.set(chunk.source, []);
+        kept.get(chunk.source).push(packed);
+        included.push(describeChunk(packed, packed.cut ? { cut: true } : {}));
+    }
+
+    const packedSources = sources
+        .filter(source => kept.has(source))
+        .map((source, i) => ({
+            ...source,
+            id: i + 1,
+            content: kept.get(source)
+                .sort((a, b) => a.index - b.index)
+                .map(chunk => chunk.text)
+                .join('\n\n')
+        }));
+
+    return { sources: packedSources, usedTokens: used, included, dropped };
+}
+
+module.exports = {
+    packContext
+};
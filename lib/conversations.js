@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { countTokens } = require('./tokenizer');
+
+// Roles we accept from clients as conversation history
+const HISTORY_ROLES = ['user', 'assistant'];
+
+// Keep only well-formed user/assistant turns from a client supplied history
+function normalizeMessages(messages) {
+    if (!Array.isArray(messages)) return [];
+
+    return messages
+        .filter(msg => msg && HISTORY_ROLES.includes(msg.role) && typeof msg.content === 'string' && msg.content.trim())
+        .map(msg => ({ role: msg.role, content: msg.content }));
+}
+
+// Drop the oldest turns until the history fits within maxTokens of model.
+// The most recent turns are the ones a follow-up question is most likely to
+// refer to.
+function trimHistory(messages, maxTokens, model) {
+    const trimmed = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const tokens = countTokens(messages[i].content, model);
+        if (used + tokens > maxTokens) break;
+        trimmed.unshift(messages[i]);
+        used += tokens;
+    }
+
+    // Don't start the history with a dangling assistant reply
+    while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+        trimmed.shift();
+    }
+
+    return trimmed;
+}
+
+// In-memory conversation store. Sessions expire ttlMs after their last
+// update, and beyond maxSessions the least recently used one is dropped;
+// each instance (or warm Netlify function) has its own store.
+//
+// Sessions belong to the client that opened them (owner, the client id
+// from access control): another client sending the same id doesn't find it.
+function createSessionStore({ ttlMs = 30 * 60 * 1000, maxMessages = 50, maxSessions = 10000 } = {}) {
+    // Kept in order of last use, oldest first, under keyOf(owner, id)
+    const sessions = new Map();
+
+    function keyOf(owner, id) {
+        return `${owner || ''}\n${id}`;
+    }
+
+    function prune() {
+        const now = Date.now();
+        for (const [id, session] of sessions) {
+            if (session.expiresAt <= now) sessions.delete(id);
+        }
+    }
+
+    function append(id, messages, owner) {
+        prune();
+        const key = keyOf(owner, id);
+        const session = sessions.get(key) || { messages: [] };
+        session.messages.push(...messages);
+        session.messages = session.messages.slice(-maxMessages);
+        session.expiresAt = Date.now() + ttlMs;
+        sessions.delete(key);
+        sessions.set(key, session);
+
+        while (sessions.size > maxSessions) {
+            sessions.delete(sessions.keys().next().value);
+        }
+    }
+
+    return {
+        // Open an empty session for owner and return its new id
+        create(owner) {
+            const id = crypto.randomUUID();
+            append(id, [], owner);
+            return id;
+        },
+
+        has(id, owner) {
+            prune();
+            return sessions.has(keyOf(owner, id));
+        },
+
+        get(id, owner) {
+            prune();
+            const key = keyOf(owner, id);
+            const session = sessions.get(key);
+            if (!session) return [];
+
+            sessions.delete(key);
+            sessions.set(key, session);
+            return session.messages.slice();
+        },
+
+        append,
+
+        get size() {
+            return sessions.size;
+        },
+
+        delete(id, owner) {
+            sessions.delete(keyOf(owner, id));
+        }
+    };
+}
+
+function isQuestion(message) {
+    return typeof message === 'string' && message.trim() !== '';
+}
+
+// Work out the question and prior history for a /chat request body. Clients
+// either send the whole conversation as `messages` (stateless) or keep it
+// on the server: `startConversation: true` opens a conversation whose
+// `conversationId` is then sent with each follow-up. Other requests get no
+// conversationId and nothing is stored for them. Conversations are looked
+// up for owner (the calling client's id) only. Returns { error } when the
+// body is unusable or names a conversation the store doesn't hold.
+function resolveConversation(body, store, owner = null) {
+    const { message, messages, conversationId, startConversation } = body || {};
+
+    if (message !== undefined && message !== null && !isQuestion(message)) {
+        return { error: 'Message is required' };
+    }
+
+    if (messages !== undefined) {
+        if (!Array.isArray(messages)) {
+            return { error: 'messages must be an array' };
+        }
+
+        const history = normalizeMessages(messages);
+
+        // With no separate message, the last user turn is the question
+        if (!message) {
+            const last = history[history.length - 1];
+            if (!last || last.role !== 'user') {
+                return { error: 'Message is required' };
+            }
+            return { message: last.content, history: history.slice(0, -1), conversationId: null };
+        }
+
+        return { message, history, conversationId: null };
+    }
+
+    if (!message) {
+        return { error: 'Message is required' };
+    }
+
+    if (conversationId !== undefined && (typeof conversationId !== 'string' || !conversationId || conversationId.length > 100)) {
+        return { error: 'conversationId must be a non-empty string' };
+    }
+
+    if (conversationId) {
+        if (!store.has(conversationId, owner)) {
+            return { error: 'Unknown or expired conversationId; start a new conversation with startConversation: true' };
+        }
+        return { message, history: store.get(conversationId, owner), conversationId };
+    }
+    if (startConversation === true) {
+        return { message, history: [], conversationId: store.create(owner) };
+    }
+    return { message, history: [], conversationId: null };
+}
+
+module.exports = {
+    normalizeMessages,
+    trimHistory,
+    createSessionStore,
+    resolveConversation
+};
@@ -0,0 +1,29 @@
+// A point in time by which a whole /chat request has to be answered. Each
+// pipeline step asks it how long it may take, and the pipeline degrades
+// (skips steps) when there isn't enough time left for them.
+function createDeadline(timeLimitMs, now = Date.now) {
+    const at = now() + timeLimitMs;
+
+    return {
+        at,
+
+        remaining() {
+            return Math.max(0, at - now());
+        },
+
+        // Whether at least ms are left
+        allows(ms) {
+            return at - now() >= ms;
+        },
+
+        // A timeout for a step: its usual timeout, cut short so that
+        // reserveMs are still left afterwards (but never below minMs)
+        timeout(stepTimeoutMs, { reserveMs = 0, minMs = 500 } = {}) {
+            return Math.max(minMs, Math.min(stepTimeoutMs, at - now() - reserveMs));
+        }
+    };
+}
+
+module.exports = {
+    createDeadline
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const { createMcpClient } = require('./mcpClient');
+
+// Used when neither DOC_SOURCES_FILE nor DOC_SOURCES is set
+const DEFAULT_SOURCES = [
+    {
+        id: 'training',
+        name: 'Cerebras Training Docs',
+        type: 'mcp',
+        url: 'https://training-docs.cerebras.ai/mcp'
+    }
+];
+
+// Backends a source can use. Only MCP servers for now.
+const SOURCE_TYPES = ['mcp'];
+
+// Fill in defaults for a configured source and check it is usable. Fetches
+// are limited to the MCP server's own domain unless allowedDomains is set,
+// and never reach private or loopback addresses unless allowPrivateNetworks
+// is set (for docs hosted on an internal network).
+function normalizeSource(raw) {
+    if (!raw || typeof raw.id !== 'string' || !/^[a-z0-9-]+$/i.test(raw.id)) {
+        throw new Error(`Doc source needs an id of letters, digits and dashes: ${JSON.stringify(raw)}`);
+    }
+
+    const type = raw.type || 'mcp';
+    if (!SOURCE_TYPES.includes(type)) {
+        throw new Error(`Doc source ${raw.id} has unknown type ${type}`);
+    }
+
+    let url;
+    try {
+        url = new URL(raw.url);
+    } catch (e) {
+        throw new Error(`Doc source ${raw.id} needs a valid url`);
+    }
+
+    return {
+        id: raw.id,
+        name: raw.name || raw.id,
+        type,
+        url: url.toString(),
+        searchTool: raw.searchTool || 'search',
+        allowedDomains: (raw.allowedDomains || [url.hostname]).map(domain => domain.toLowerCase()),
+        allowPrivateNetworks: raw.allowPrivateNetworks === true
+    };
+}
+
+// Load the doc source registry from DOC_SOURCES_FILE (path to a JSON file)
+// or DOC_SOURCES (inline JSON), falling back to the training docs
+function loadDocSources(env = process.env) {
+    let raw = DEFAULT_SOURCES;
+
+    if (env.DOC_SOURCES_FILE) {
+        raw = JSON.parse(fs.readFileSync(env.DOC_SOURCES_FILE, 'utf8'));
+    } else if (env.DOC_SOURCES) {
+        raw = JSON.parse(env.DOC_SOURCES);
+    }
+
+    if (!Array.isArray(raw) || raw.length === 0) {
+        throw new Error('Doc sources must be a non-empty JSON array');
+    }
+
+    const sources = raw.map(normalizeSource);
+    const ids = new Set();
+    for (const source of sources) {
+        if (ids.has(source.id)) {
+            throw new Error(`Duplicate doc source id ${source.id}`);
+        }
+        ids.add(source.id);
+    }
+
+    return sources;
+}
+
+// Registry of doc sources with one shared MCP client per source.
+// createClient builds the client for a source (tests pass a fake).
+function createSourceRegistry(sources, { onNotification, logger, createClient = createMcpClient } = {}) {
+    const clients = new Map();
+
+    // The first of the given sources whose allowed domains include the URL's
+    // host, or null
+    function findSourceForUrl(url, selectedSources = sources) {
+        let hostname;
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+            hostname = parsed.hostname.toLowerCase();
+        } catch (e) {
+            return null;
+        }
+
+        return selectedSources.find(source => source.allowedDomains.some(domain =>
+            hostname === domain || hostname.endsWith(`.${domain}`))) || null;
+    }
+
+    return {
+        sources,
+
+        // Pick the sources for a request's `source` parameter: one id, an
+        // array of ids, or nothing / 'all' for every source. Returns
+        // { sources } or { error }.
+        select(sourceParam) {
+            if (sourceParam === undefined || sourceParam === null || sourceParam === 'all') {
+                return { sources };
+            }
+
+            const ids = Array.isArray(sourceParam) ? sourceParam : [sourceParam];
+            const selected = [];
+            for (const id of ids) {
+                const source = sources.find(candidate => candidate.id === id);
+                if (!source) {
+                    return { error: `Unknown source: ${id}. Available sources: ${sources.map(s => s.id).join(', ')}` };
+                }
+                if (!selected.includes(source)) selected.push(source);
+            }
+
+            return selected.length > 0 ? { sources: selected } : { error: 'source must not be empty' };
+        },
+
+        getClient(source) {
+            if (!clients.has(source.id)) {
+                clients.set(source.id, createClient({ url: source.url, onNotification, logger }, source));
+            }
+            return clients.get(source.id);
+        },
+
+        // Whether a URL is on one of the given sources' allowed domains
+        // (or a subdomain of one)
+        isAllowedUrl(url, selectedSources = sources) {
+            return Boolean(findSourceForUrl(url, selectedSources));
+        },
+
+        findSourceForUrl
+    };
+}
+
+// Key used to spot the same page returned by more than one source
+function normalizeLink(link) {
+    try {
+        const url = new URL(link);
+        url.hash = '';
+        return url.toString().replace(/\/$/, '').toLowerCase();
+    } catch (e) {
+        return (link || '').trim().toLowerCase();
+    }
+}
+
+// Constant of reciprocal rank fusion: the higher it is, the less the top
+// ranks of a single list dominate
+const RRF_K = 60;
+
+// Merge ranked lists of parsed search results (one per source, and per
+// query when several were searched) with reciprocal rank fusion. Each page
+// scores the sum of 1 / (k + rank) over the lists it appears in, so pages
+// several queries or sources agree on come first, and a page's first
+// appearance is the one kept. Equal scores keep the order of the lists,
+// which takes the top results of each list in turn so no single source
+// crowds out the rest. Each item is labelled with its source.
+function fuseSearchResults(resultLists, { k = RRF_K } = {}) {
+    const fused = new Map();
+
+    for (const { source, items } of resultLists) {
+        items.forEach((item, rank) => {
+            const key = item.link ? normalizeLink(item.link) : `${source.id}:${item.title}`;
+            const score = 1 / (k + rank + 1);
+            if (fused.has(key)) {
+                fused.get(key).score += score;
+            } else {
+                fused.set(key, { item: { ...item, sourceId: source.id, sourceName: source.name }, score, order: fused.size });
+            }
+        });
+    }
+
+    return [...fused.values()]
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(entry => entry.item);
+}
+
+module.exports = {
+    loadDocSources,
+    createSourceRegistry,
+    fuseSearchResults,
+    normalizeLink
+};
@@ -0,0 +1,269 @@
+const { parse } = require('node-html-parser');
+
+// Elements that never hold article text
+const DROP_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form',
+    'button', 'input', 'select', 'textarea', 'nav', 'header', 'footer', 'aside', 'dialog'
+]);
+
+const DROP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog']);
+
+// class/id words that mark page chrome rather than content
+const BOILERPLATE_PATTERN = /(^|[-_\s])(sidebar|navbar|nav|menu|breadcrumbs?|toc|table-of-contents|footer|header|cookie|banner|skip-link|pagination|feedback|edit-this-page)($|[-_\s])/i;
+
+// Where the article body usually lives, most specific first
+const MAIN_SELECTORS = ['article', 'main', '[role="main"]', '#content', '.content', '.markdown', '.prose'];
+
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'ul', 'ol', 'li', 'table', 'pre', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'hr', 'details', 'summary'
+]);
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+    'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'what', 'when', 'which', 'with', 'you'
+]);
+
+function isBoilerplate(element) {
+    const tag = (element.rawTagName || '').toLowerCase();
+
+    // Article titles often sit in a <header> or a "page-header" block
+    if ((tag === 'header' || tag === 'div') && element.querySelector('h1')) return false;
+    if (DROP_TAGS.has(tag)) return true;
+
+    const role = element.getAttribute && element.getAttribute('role');
+    if (role && DROP_ROLES.has(role)) return true;
+
+    const hints = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+    return BOILERPLATE_PATTERN.test(hints) || element.getAttribute('aria-hidden') === 'true';
+}
+
+// Pick the element holding the article: the candidate with the most text,
+// or the whole body if there is none
+function findMainElement(root) {
+    for (const selector of MAIN_SELECTORS) {
+        const candidates = root.querySelectorAll(selector);
+        if (candidates.length > 0) {
+            return candidates.reduce((best, candidate) =>
+                candidate.text.length > best.text.length ? candidate : best);
+        }
+    }
+    return root.querySelector('body') || root;
+}
+
+function inlineText(node) {
+    return renderInline(node).replace(/\s+/g, ' ').trim();
+}
+
+function renderInline(node) {
+    if (node.nodeType === 3) return node.text;
+    if (node.nodeType !== 1 || isBoilerplate(node)) return '';
+
+    const tag = node.rawTagName.toLowerCase();
+    if (tag === 'br') return '\n';
+    if (tag === 'img') return node.getAttribute('alt') || '';
+
+    const inner = node.childNodes.map(renderInline).join('');
+    if (tag === 'code') return inner.trim() ? `\`${inner.trim()}\`` : '';
+    if (tag === 'strong' || tag === 'b') return inner.trim() ? `**${inner.trim()}**` : '';
+    if (tag === 'em' || tag === 'i') return inner.trim() ? `*${inner.trim()}*` : '';
+    return inner;
+}
+
+function codeLanguage(pre) {
+    const code = pre.querySelector('code');
+    const classes = `${pre.getAttribute('class') || ''} ${(code && code.getAttribute('class')) || ''}`;
+    const match = classes.match(/(?:language|lang)-([\w+-]+)/);
+    return match ? match[1] : '';
+}
+
+function renderTable(table) {
+    const rows = table.querySelectorAll('tr').map(row =>
+        row.childNodes
+            .filter(cell => cell.nodeType === 1 && ['td', 'th'].includes(cell.rawTagName.toLowerCase()))
+            .map(cell => inlineText(cell).replace(/\|/g, '\\|')));
+
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+    const lines = [`| ${pad(rows[0]).join(' | ')} |`, `| ${Array(width).fill('---').join(' | ')} |`];
+    for (const row of rows.slice(1)) {
+        lines.push(`| ${pad(row).join(' | ')} |`);
+    }
+    return lines.join('\n');
+}
+
+function renderList(list, depth) {
+    const ordered = list.rawTagName.toLowerCase() === 'ol';
+    const indent = '  '.repeat(depth);
+    let index = 1;
+
+    return list.childNodes
+        .filter(item => item.nodeType === 1 && item.rawTagName.toLowerCase() === 'li')
+        .map(item => {
+            const marker = ordered ? `${index++}.` : '-';
+            const text = item.childNodes
+                .filter(child => !(child.nodeType === 1 && ['ul', 'ol'].includes(child.rawTagName.toLowerCase())))
+                .map(child => (child.nodeType === 1 && BLOCK_TAGS.has(child.rawTagName.toLowerCase())
+                    ? renderBlocks(child).join(' ')
+                    : renderInline(child)))
+                .join('')
+                .replace(/\s+/g, ' ')
+                .trim();
+            const nested = item.childNodes
+                .filter(child => child.nodeType === 1 && ['ul', 'ol'].includes(child.rawTagName.toLowerCase()))
+                .map(child => renderList(child, depth + 1));
+            return [`${indent}${marker} ${text}`, ...nested].join('\n');
+        })
+        .join('\n');
+}
+
+// Render an element's children as Markdown blocks
+function renderBlocks(element) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        const text = inline.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+        if (text) blocks.push(text);
+        inline = '';
+    };
+
+    for (const node of element.childNodes) {
+        if (node.nodeType === 3) {
+            inline += node.text;
+            continue;
+        }
+        if (node.nodeType !== 1 || isBoilerplate(node)) continue;
+
+        const tag = node.rawTagName.toLowerCase();
+        if (!BLOCK_TAGS.has(tag)) {
+            inline += renderInline(node);
+            continue;
+        }
+
+        flush();
+        if (/^h[1-6]$/.test(tag)) {
+            const text = inlineText(node).replace(/[#¶]+$/, '').trim();
+            if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+        } else if (tag === 'pre') {
+            const code = node.text.replace(/\n+$/, '');
+            blocks.push(`\`\`\`${codeLanguage(node)}\n${code}\n\`\`\``);
+        } else if (tag === 'ul' || tag === 'ol') {
+            const list = renderList(node, 0);
+            if (list) blocks.push(list);
+        } else if (tag === 'table') {
+            const table = renderTable(node);
+            if (table) blocks.push(table);
+        } else if (tag === 'blockquote') {
+            const quote = renderBlocks(node).join('\n\n');
+            if (quote) blocks.push(quote.split('\n').map(line => `> ${line}`).join('\n'));
+        } else if (tag === 'hr') {
+            continue;
+        } else {
+            blocks.push(...renderBlocks(node));
+        }
+    }
+
+    flush();
+    return blocks;
+}
+
+// Turn a documentation page into Markdown, keeping only the main article:
+// headings, paragraphs, lists, tables and fenced code blocks survive, while
+// scripts, styles, navigation, headers and footers are dropped
+function htmlToMarkdown(html) {
+    // <pre> is parsed like any other element so highlighted code keeps its
+    // text and language class
+    const root = parse(html, { blockTextElements: { script: true, noscript: true, style: true } });
+    return renderBlocks(findMainElement(root)).join('\n\n');
+}
+
+// Split Markdown into sections at its headings. Each section keeps its
+// heading line in `text`.
+function splitSections(markdown) {
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    let inFence = false;
+
+    for (const line of markdown.split('\n')) {
+        if (line.startsWith('```')) inFence = !inFence;
+
+        if (!inFence && /^#{1,6} /.test(line)) {
+            if (current.lines.some(existing => existing.trim())) sections.push(current);
+            current = { heading: line.replace(/^#+ /, ''), lines: [] };
+        }
+        current.lines.push(line);
+    }
+    if (current.lines.some(line => line.trim())) sections.push(current);
+
+    return sections.map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }));
+}
+
+// Lowercased words of a query (or any text) worth matching on, without
+// stop words
+function queryTerms(query) {
+    return (query || '')
+        .toLowerCase()
+        .split(/[^a-z0-9_.-]+/)
+        .map(term => term.replace(/^[.-]+|[.-]+$/g, ''))
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+// Lexical relevance of a section to the query terms. Heading matches count
+// extra, and each term's contribution is damped so one repeated word
+// can't dominate.
+function scoreSection(section, terms) {
+    const heading = section.heading.toLowerCase();
+    const text = section.text.toLowerCase();
+
+    return terms.reduce((score, term) => {
+        const count = text.split(term).length - 1;
+        return score + Math.log1p(count) + (heading.includes(term) ? 2 : 0);
+    }, 0);
+}
+
+// Keep the sections most relevant to the query within maxChars, in page
+// order. The page's first section (its introduction) is kept when it fits.
+// A section too long for the budget on its own is cut to fit.
+function selectSections(sections, query, maxChars) {
+    const terms = queryTerms(query);
+    const ranked = sections
+        .map((section, index) => ({ ...section, index, score: scoreSection(section, terms) + (index === 0 ? 1 : 0) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const kept = [];
+    let used = 0;
+    for (const section of ranked) {
+        const remaining = maxChars - used;
+        if (remaining <= 0) break;
+
+        if (section.text.length <= remaining) {
+            kept.push(section);
+            used += section.text.length + 2;
+        } else if (kept.length === 0) {
+            kept.push({ ...section, text: section.text.substring(0, remaining) });
+            used = maxChars;
+        }
+    }
+
+    return kept.sort((a, b) => a.index - b.index);
+}
+
+// The parts of a Markdown page most relevant to the query, at most
+// maxChars characters long
+function extractRelevantSections(markdown, query, maxChars) {
+    return selectSections(splitSections(markdown), query, maxChars)
+        .map(section => section.text)
+        .join('\n\n');
+}
+
+module.exports = {
+    htmlToMarkdown,
+    splitSections,
+    selectSections,
+    extractRelevantSections,
+    queryTerms,
+    scoreSection
+};
@@ -0,0 +1,82 @@
+const { defaultLogger } = require('./logger');
+
+// Reject if promise takes longer than ms
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function probe(name, fn, timeout, logger) {
+    const startedAt = Date.now();
+    try {
+        await withTimeout(fn(), timeout, name);
+        return { ok: true, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        logger.warn('Health probe failed', { dependency: name, error });
+        return { ok: false, latencyMs: Date.now() - startedAt };
+    }
+}
+
+// Readiness check: pings every doc source's MCP server and lists the LLM
+// API's models. The result is cached for ttlMs so that frequent probes
+// don't hit the dependencies on every call; concurrent checks share one
+// run. Errors are only logged, since the report is public.
+//
+// status is 'ok' when everything answered, 'degraded' when the LLM API
+// answered but some MCP servers didn't (answers still work from the
+// other sources or the local index) and 'unavailable' when no answer can
+// be given: the LLM API is down, or every MCP server is and there is no
+// local index to fall back to.
+function createHealthCheck({ docSources, llm, hasLocalIndex = false, ttlMs = 15000, timeout = 3000, now = Date.now, logger = defaultLogger }) {
+    let last = null;
+    let running = null;
+
+    async function run() {
+        const [cerebras, ...mcp] = await Promise.all([
+            probe('cerebras', () => llm.models.list(), timeout, logger),
+            ...docSources.sources.map(source => probe(`mcp:${source.id}`, () => docSources.getClient(source).ping({ timeout }), timeout, logger))
+        ]);
+
+        const mcpUp = mcp.filter(result => result.ok).length;
+        let status = 'ok';
+        if (!cerebras.ok || (mcpUp === 0 && !hasLocalIndex)) {
+            status = 'unavailable';
+        } else if (mcpUp < mcp.length) {
+            status = 'degraded';
+        }
+
+        return {
+            status,
+            checkedAt: new Date(now()).toISOString(),
+            checks: {
+                cerebras,
+                mcp: Object.fromEntries(docSources.sources.map((source, i) => [source.id, mcp[i]]))
+            }
+        };
+    }
+
+    return {
+        // Resolves with { status, checkedAt, cached, checks }
+        async check() {
+            if (last && now() - last.at < ttlMs) {
+                return { ...last.report, cached: true };
+            }
+            if (!running) {
+                running = run().then((report) => {
+                    last = { report, at: now() };
+                    return report;
+                }).finally(() => {
+                    running = null;
+                });
+            }
+            return { ...(await running), cached: false };
+        }
+    };
+}
+
+module.exports = {
+    createHealthCheck
+};
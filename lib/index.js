@@ -0,0 +1,152 @@
+const Cerebras = require('@cerebras/cerebras_cloud_sdk').default;
+const { createSessionStore } = require('./conversations');
+const { createCaches } = require('./cache');
+const { loadDocSources, createSourceRegistry } = require('./docSources');
+const { createChatPipeline } = require('./pipeline');
+const { createChatService, formatEvent, getErrorMessage } = require('./chatService');
+const { createCompletionsService, openAIError } = require('./openaiCompat');
+const { loadSettings } = require('./settings');
+const { findUnknownModels } = require('./models');
+const { loadLocalIndex } = require('./localIndex');
+const { createAccessControl } = require('./access');
+const { createLogger, requestIdFrom } = require('./logger');
+const { createOtlpExporter } = require('./otlp');
+const { createMetrics, withUsageMetrics } = require('./metrics');
+const { createHealthCheck } = require('./health');
+const { createTranscriptStore, filterTranscripts, transcriptsToCsv } = require('./transcripts');
+
+// Wire up everything an adapter needs from environment variables. Any
+// dependency can be passed in instead (tests use fake clients):
+//
+// - llm: chat completions client (default: Cerebras SDK with CEREBRAS_API_KEY)
+// - docSources: doc source registry (default: DOC_SOURCES_FILE / DOC_SOURCES)
+// - caches: search/page/answer caches (default: CACHE_BACKEND)
+// - localIndex: local docs index (default: LOCAL_INDEX_FILE, if set)
+// - logger: structured logger (default: LOG_LEVEL, LOG_FORMAT and
+//   LOG_REDACT, exporting spans to OTEL_EXPORTER_OTLP_ENDPOINT if set)
+// - fetcher: see createChatPipeline
+function createChatBackend({ env = process.env, llm, docSources, caches, localIndex, fetcher, logger: givenLogger } = {}) {
+    const settings = loadSettings(env);
+
+    const exporter = settings.otelEndpoint && createOtlpExporter({
+        endpoint: settings.otelEndpoint,
+        serviceName: settings.otelServiceName,
+        onError: error => logger.warn('Could not export spans', { error })
+    });
+    const logger = givenLogger || createLogger({ ...settings.logging, exporter });
+
+    const llmClient = llm || new Cerebras({
+        apiKey: env.CEREBRAS_API_KEY
+    });
+
+    // Request, step and token counters for /metrics
+    const metrics = createMetrics();
+
+    // Documentation sources (MCP servers) to search, each with one shared
+    // MCP session kept open between requests
+    const sourceRegistry = docSources || createSourceRegistry(loadDocSources(env), {
+        onNotification: (notification) => logger.debug('MCP notification', { method: notification.method }),
+        logger
+    });
+
+    // Server-side conversation history for clients that send a conversationId
+    const conversationStore = createSessionStore({ ttlMs: settings.conversationTtlMs, maxSessions: settings.maxConversations });
+
+    // Answers and user feedback on them (TRANSCRIPTS_FILE, or in memory)
+    const transcripts = createTranscriptStore({ file: settings.transcriptsFile, logger });
+
+    const pipelineCaches = caches || createCaches(settings, { logger });
+
+    // Fallback docs index built with `npm run build-index`. A missing or
+    // broken index only disables the fallback.
+    let docsIndex = localIndex || null;
+    if (!docsIndex && settings.localIndexFile) {
+        try {
+            docsIndex = loadLocalIndex(settings.localIndexFile);
+            logger.info('Loaded local docs index', { chunks: docsIndex.size });
+        } catch (error) {
+            logger.error('Could not load local docs index', { file: settings.localIndexFile, error });
+        }
+    }
+
+    const pipeline = createChatPipeline({
+        llm: withUsageMetrics(llmClient, metrics),
+        docSources: sourceRegistry,
+        fetcher,
+        caches: pipelineCaches,
+        localIndex: docsIndex,
+        logger,
+        settings
+    });
+
+    // Credentials, CORS origins, rate limits and quotas for /chat
+    const access = createAccessControl({
+        apiKeys: settings.apiKeys,
+        tokenSecret: settings.widgetTokenSecret,
+        corsOrigins: settings.corsOrigins,
+        rateLimitPerMinute: settings.rateLimitPerMinute,
+        rateLimitBurst: settings.rateLimitBurst,
+        ipRateLimitPerMinute: settings.ipRateLimitPerMinute,
+        dailyTokenQuota: settings.dailyTokenQuota
+    });
+
+    const chatService = createChatService({
+        pipeline,
+        docSources: sourceRegistry,
+        conversationStore,
+        transcripts,
+        defaultMode: settings.defaultMode,
+        timeLimitMs: settings.requestTimeLimitMs,
+        allowedModels: settings.allowedModels,
+        recordUsage: access.recordUsage,
+        recordRequest: metrics.recordRequest,
+        logger
+    });
+
+    // The same answers for OpenAI clients, at /v1/chat/completions
+    const completions = createCompletionsService({
+        chatService,
+        stages: settings.stages,
+        allowedModels: settings.allowedModels
+    });
+
+    // Readiness of the MCP servers and the LLM API for /health
+    const health = createHealthCheck({
+        docSources: sourceRegistry,
+        llm: llmClient,
+        hasLocalIndex: Boolean(docsIndex) && settings.localIndexMode !== 'off',
+        ttlMs: settings.healthCacheMs,
+        logger
+    });
+
+    return {
+        settings,
+        docSources: sourceRegistry,
+        conversationStore,
+        transcripts,
+        caches: pipelineCaches,
+        pipeline,
+        chatService,
+        completions,
+        access,
+        metrics,
+        health,
+        logger,
+
+        // Check the configured models against the API's model list. Resolves
+        // with the names it doesn't serve; rejects if the list can't be read.
+        checkModels() {
+            return findUnknownModels(llmClient, settings);
+        }
+    };
+}
+
+module.exports = {
+    createChatBackend,
+    formatEvent,
+    getErrorMessage,
+    openAIError,
+    requestIdFrom,
+    filterTranscripts,
+    transcriptsToCsv
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('node-html-parser');
+const { htmlToMarkdown } = require('./extract');
+const { defaultLogger } = require('./logger');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdx', '.txt'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// Title of an HTML page: its <title>, else its first <h1>
+function htmlTitle(html) {
+    const root = parse(html);
+    const title = root.querySelector('title') || root.querySelector('h1');
+    return title ? title.text.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Title of a Markdown file from its front matter or first heading, with the
+// front matter removed from the text
+function readMarkdown(text) {
+    let markdown = text;
+    let title = '';
+
+    const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (frontMatter) {
+        markdown = text.slice(frontMatter[0].length);
+        const titleLine = frontMatter[1].match(/^title:\s*["']?(.*?)["']?\s*$/m);
+        if (titleLine) title = titleLine[1];
+    }
+    if (!title) {
+        const heading = markdown.match(/^#\s+(.+)$/m);
+        if (heading) title = heading[1].trim();
+    }
+
+    return { title, markdown };
+}
+
+function listFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith('.') && entry.name !== 'node_modules') files.push(...listFiles(full));
+        } else {
+            files.push(full);
+        }
+    }
+    return files.sort();
+}
+
+// Load a directory of Markdown and HTML files as documents. With baseUrl
+// each file's link is baseUrl plus its path without the extension
+// (docs/install.md -> <baseUrl>/docs/install); otherwise the relative path.
+function loadDirectory(dir, { baseUrl = null, sourceId = null } = {}) {
+    const documents = [];
+
+    for (const file of listFiles(dir)) {
+        const extension = path.extname(file).toLowerCase();
+        const isHtml = HTML_EXTENSIONS.includes(extension);
+        if (!isHtml && !MARKDOWN_EXTENSIONS.includes(extension)) continue;
+
+        const relative = path.relative(dir, file).split(path.sep).join('/');
+        const text = fs.readFileSync(file, 'utf8');
+        const { title, markdown } = isHtml
+            ? { title: htmlTitle(text), markdown: htmlToMarkdown(text) }
+            : readMarkdown(text);
+
+        const url = baseUrl
+            ? `${baseUrl.replace(/\/$/, '')}/${relative.slice(0, -extension.length).replace(/(^|\/)index$/, '')}`
+            : relative;
+
+        documents.push({ url, title: title || relative, markdown, sourceId });
+    }
+
+    return documents;
+}
+
+// The <loc> entries of a sitemap
+function sitemapLocations(xml) {
+    return [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/g)].map(match =>
+        match[1].replace(/&amp;/g, '&'));
+}
+
+// Crawl the pages listed in a sitemap (following one level of sitemap
+// index files), up to maxPages, staying on the sitemap's host. fetcher is
+// an SSRF-safe fetcher from safeFetch.js.
+async function crawlSitemap(sitemapUrl, { fetcher, maxPages = 500, sourceId = null, logger = defaultLogger } = {}) {
+    const host = new URL(sitemapUrl).hostname;
+    const options = {
+        headers: { 'User-Agent': 'Cerebras-Docs-Chatbot/1.0 (index builder)' },
+        timeout: 10000,
+        isAllowedUrl: url => new URL(url).hostname === host
+    };
+
+    const sitemap = await fetcher(sitemapUrl, options);
+    let pageUrls = sitemapLocations(String(sitemap.data));
+
+    // A sitemap index lists more sitemaps rather than pages
+    if (/<sitemapindex/.test(String(sitemap.data))) {
+        const nested = [];
+        for (const url of pageUrls) {
+            try {
+                nested.push(...sitemapLocations(String((await fetcher(url, options)).data)));
+            } catch (error) {
+                logger.error('Failed to fetch sitemap', { url, error });
+            }
+        }
+        pageUrls = nested;
+    }
+
+    const documents = [];
+    for (const url of pageUrls.slice(0, maxPages)) {
+        try {
+            const response = await fetcher(url, options);
+            const html = String(response.data);
+            documents.push({ url, title: htmlTitle(html) || url, markdown: htmlToMarkdown(html), sourceId });
+            logger.info('Indexed page', { url });
+        } catch (error) {
+            logger.warn('Failed to fetch page', { url, error });
+        }
+    }
+
+    return documents;
+}
+
+module.exports = {
+    loadDirectory,
+    crawlSitemap
+};
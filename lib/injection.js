@@ -0,0 +1,182 @@
+const { defaultLogger } = require('./logger');
+
+// What to do with retrieved text that looks like a prompt injection:
+// 'flag' only reports it, 'strip' removes the offending lines, 'quarantine'
+// leaves the whole chunk out of the context
+const INJECTION_POLICIES = ['off', 'flag', 'strip', 'quarantine'];
+
+// Phrases used to take over a model, each weighted by how rarely it shows
+// up in honest documentation. Docs about LLM APIs talk about system
+// prompts and roles, so those alone score low.
+const INJECTION_PATTERNS = [
+    {
+        name: 'ignore-instructions',
+        weight: 0.8,
+        pattern: /\b(ignore|disregard|forget|override|bypass|skip)\b[^.\n]{0,40}\b(previous|prior|above|earlier|preceding|all|any|your|the|these|those|other)\b[^.\n]{0,20}\b(instructions?|prompts?|rules|directions|guidelines|directives)\b/i
+    },
+    {
+        name: 'new-instructions',
+        weight: 0.5,
+        pattern: /\b(new|updated|real|actual|true|important|additional)\s+(system\s+)?(instructions?|directives?|orders)\s*[:\-!]/i
+    },
+    {
+        name: 'role-change',
+        weight: 0.5,
+        pattern: /\byou\s+are\s+(now|no\s+longer)\b|\bfrom\s+now\s+on,?\s+you\b|\bpretend\s+(to\s+be|you\s+are)\b|\b(act|behave|respond)\s+as\s+(an?\s+)?(unrestricted|unfiltered|different|evil|jailbroken)\b/i
+    },
+    {
+        name: 'prompt-leak',
+        weight: 0.6,
+        pattern: /\b(reveal|print|show|repeat|output|leak|display|tell\s+me)\b[^.\n]{0,30}\b(system\s+prompt|hidden\s+(prompt|instructions)|initial\s+instructions|your\s+instructions|your\s+(system\s+)?prompt)\b/i
+    },
+    {
+        name: 'role-marker',
+        weight: 0.4,
+        pattern: /^\s*(#{1,3}\s*)?(system|assistant)\s*:\s*\S/im
+    },
+    {
+        name: 'chat-template',
+        weight: 0.8,
+        pattern: /<\|(im_start|im_end|system|user|assistant|endoftext|eot_id|start_header_id|end_header_id)\|>|\[\/?INST\]|<<\/?SYS>>/i
+    },
+    {
+        name: 'fake-delimiter',
+        weight: 0.4,
+        pattern: /<\/?\s*(documents?|search_results|result|question)\b[^>]*>/i
+    },
+    {
+        name: 'jailbreak',
+        weight: 0.6,
+        pattern: /\b(jailbreak|jailbroken|DAN\s+mode|developer\s+mode\s+enabled|do\s+anything\s+now)\b/i
+    },
+    {
+        name: 'exfiltration',
+        weight: 0.6,
+        pattern: /!\[[^\]]*\]\(\s*https?:\/\/[^)\s]*[?&][^)\s]*=\s*(\{|%7B|\$|<)/i
+    }
+];
+
+const CHAT_TEMPLATE_TOKENS = /<\|[a-z_]+\|>|\[\/?INST\]|<<\/?SYS>>/gi;
+const DATA_TAGS = /<(\/?)(\s*)(documents?|search_results|result|question|answer|statements)\b/gi;
+const CONTROL_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+const MAX_QUERY_CHARS = 500;
+const REMOVED_NOTICE = '[removed: possible prompt injection]';
+
+// Score text for injection patterns: the sum of the weights of the
+// patterns found, capped at 1. Invisible characters are ignored so they
+// can't be used to break up a phrase. Returns { score, patterns }.
+function scoreInjection(text) {
+    const visible = String(text || '').replace(CONTROL_CHARS, '');
+    const patterns = INJECTION_PATTERNS
+        .filter(({ pattern }) => pattern.test(visible))
+        .map(({ name }) => name);
+    const score = Math.min(1, patterns.reduce((sum, name) =>
+        sum + INJECTION_PATTERNS.find(item => item.name === name).weight, 0));
+    return { score: Math.round(score * 100) / 100, patterns };
+}
+
+// Make text safe to put inside one of the prompt's data blocks: tags that
+// could close the block (or open a fake one) are escaped, and chat
+// template tokens and invisible control characters are dropped
+function escapeDataBlock(text) {
+    return String(text || '')
+        .replace(CONTROL_CHARS, '')
+        .replace(CHAT_TEMPLATE_TOKENS, '')
+        .replace(DATA_TAGS, '&lt;$1$2$3');
+}
+
+// Escape a value for an attribute of a data block tag
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Wrap data in a delimited block, e.g. <document index="1">…</document>
+function dataBlock(tag, content, attributes = {}) {
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+        .join('');
+    return `<${tag}${attrs}>\n${escapeDataBlock(content)}\n</${tag}>`;
+}
+
+// Remove the lines (or, in one-line text, the sentences) that match an
+// injection pattern
+function stripInjections(text) {
+    const matches = part => scoreInjection(part).patterns.length > 0;
+    const lines = String(text || '').split('\n');
+    const split = lines.length > 1 ? lines : String(text || '').split(/(?<=[.!?])\s+/);
+    const joiner = lines.length > 1 ? '\n' : ' ';
+
+    const kept = [];
+    for (const part of split) {
+        if (!matches(part)) {
+            kept.push(part);
+        } else if (kept[kept.length - 1] !== REMOVED_NOTICE) {
+            kept.push(REMOVED_NOTICE);
+        }
+    }
+    return kept.join(joiner);
+}
+
+// A user question made fit for another model's prompt: one line, no
+// control characters, template tokens or data tags, within
+// MAX_QUERY_CHARS
+function sanitizeQuery(text) {
+    return escapeDataBlock(text)
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_QUERY_CHARS);
+}
+
+// Screens retrieved chunks (search results, fetched pages, tool output)
+// and user questions for prompt injection and applies the policy to those
+// scoring at least threshold.
+function createInjectionGuard({ policy = 'strip', threshold = 0.5, logger = defaultLogger } = {}) {
+    const enabled = policy !== 'off';
+
+    return {
+        policy,
+        enabled,
+
+        // Returns { text, score, patterns, action } where text is null when
+        // the chunk was quarantined. action is 'none', 'flagged',
+        // 'stripped' or 'quarantined'.
+        screenChunk(text, { label } = {}) {
+            if (!enabled) return { text, score: 0, patterns: [], action: 'none' };
+
+            const { score, patterns } = scoreInjection(text);
+            if (score < threshold) return { text, score, patterns, action: 'none' };
+
+            const action = { flag: 'flagged', strip: 'stripped', quarantine: 'quarantined' }[policy];
+            logger.warn('Possible prompt injection in retrieved text', { label, score, patterns, action });
+            if (policy === 'quarantine') return { text: null, score, patterns, action };
+            if (policy === 'strip') return { text: stripInjections(text), score, patterns, action };
+            return { text, score, patterns, action };
+        },
+
+        // Score a user question and sanitize it for the analysis prompt.
+        // Unless the policy is 'flag' (or 'off'), lines that look like an
+        // injection are left out too.
+        screenQuery(text) {
+            const { score, patterns } = enabled ? scoreInjection(text) : { score: 0, patterns: [] };
+            const flagged = score >= threshold;
+            if (flagged) {
+                logger.warn('Possible prompt injection in question', { score, patterns });
+            }
+            const kept = flagged && policy !== 'flag' ? stripInjections(text) : text;
+            return { text: sanitizeQuery(kept), score, patterns, flagged };
+        }
+    };
+}
+
+module.exports = {
+    INJECTION_POLICIES,
+    INJECTION_PATTERNS,
+    scoreInjection,
+    escapeDataBlock,
+    dataBlock,
+    stripInjections,
+    sanitizeQuery,
+    createInjectionGuard
+};
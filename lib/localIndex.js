@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { splitSections, queryTerms } = require('./extract');
+
+const INDEX_VERSION = 1;
+
+// Longest chunk of a page kept together in the index
+const DEFAULT_CHUNK_CHARS = 1500;
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Split text too long for one chunk at paragraph breaks (or hard, for a
+// single huge paragraph)
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let current = '';
+
+    for (const paragraph of text.split(/\n{2,}/)) {
+        if (current && current.length + paragraph.length + 2 > maxChars) {
+            pieces.push(current);
+            current = '';
+        }
+        if (paragraph.length > maxChars) {
+            for (let start = 0; start < paragraph.length; start += maxChars) {
+                pieces.push(paragraph.substring(start, start + maxChars));
+            }
+        } else {
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+        }
+    }
+    if (current) pieces.push(current);
+
+    return pieces;
+}
+
+// Cut a Markdown page into chunks of at most maxChars, one per section
+// where possible. Each chunk keeps the page's url, title and source and the
+// heading it sits under.
+function chunkDocument({ url, title, markdown, sourceId = null }, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+    const chunks = [];
+
+    for (const section of splitSections(markdown || '')) {
+        for (const text of splitLongText(section.text, maxChars)) {
+            chunks.push({
+                url,
+                title: title || section.heading || url,
+                heading: section.heading,
+                sourceId,
+                text
+            });
+        }
+    }
+
+    return chunks;
+}
+
+// Build the on-disk index from chunks: the chunks themselves plus a
+// postings list of [chunk number, term frequency] for every term. The
+// postings object has no prototype, so terms like `constructor` are just
+// terms.
+function buildIndex(chunks) {
+    const postings = Object.create(null);
+    const lengths = [];
+
+    chunks.forEach((chunk, i) => {
+        const terms = queryTerms(`${chunk.title} ${chunk.heading} ${chunk.text}`);
+        lengths.push(terms.length);
+
+        const counts = new Map();
+        for (const term of terms) {
+            counts.set(term, (counts.get(term) || 0) + 1);
+        }
+        for (const [term, count] of counts) {
+            if (!postings[term]) postings[term] = [];
+            postings[term].push([i, count]);
+        }
+    });
+
+    return {
+        version: INDEX_VERSION,
+        createdAt: new Date().toISOString(),
+        chunks: chunks.map((chunk, i) => ({ ...chunk, length: lengths[i] })),
+        postings
+    };
+}
+
+function saveIndex(file, index) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(index));
+}
+
+// Searchable view of a built index. search(query, { limit, sourceIds })
+// returns the best chunks by BM25 score as [{ chunk, score }], optionally
+// only those from the given doc sources (chunks without a source always
+// qualify).
+function createLocalIndex(index) {
+    if (!index || index.version !== INDEX_VERSION || !Array.isArray(index.chunks)) {
+        throw new Error('Unsupported local index format; rebuild it with npm run build-index');
+    }
+
+    const { chunks } = index;
+    const postings = new Map(Object.entries(index.postings || {}));
+    const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / (chunks.length || 1);
+
+    return {
+        size: chunks.length,
+        createdAt: index.createdAt,
+
+        search(query, { limit = 5, sourceIds = null } = {}) {
+            const scores = new Map();
+
+            for (const term of new Set(queryTerms(query))) {
+                const termPostings = postings.get(term);
+                if (!termPostings) continue;
+
+                const idf = Math.log(1 + (chunks.length - termPostings.length + 0.5) / (termPostings.length + 0.5));
+                for (const [i, count] of termPostings) {
+                    const norm = count + K1 * (1 - B + B * chunks[i].length / averageLength);
+                    scores.set(i, (scores.get(i) || 0) + idf * (count * (K1 + 1)) / norm);
+                }
+            }
+
+            return [...scores]
+                .filter(([i]) => !sourceIds || !chunks[i].sourceId || sourceIds.includes(chunks[i].sourceId))
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([i, score]) => ({ chunk: chunks[i], score }));
+        }
+    };
+}
+
+function loadLocalIndex(file) {
+    return createLocalIndex(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Format hits like an MCP search tool's results (Title/Link/Content lines)
+// so they go through the same parsing, merging and citation steps
+function formatLocalResults(hits) {
+    return hits
+        .map(({ chunk }) => {
+            const title = chunk.heading && chunk.heading !== chunk.title
+                ? `${chunk.title} - ${chunk.heading}`
+                : chunk.title;
+            return `Title: ${title}\nLink: ${chunk.url}\nContent: ${chunk.text.replace(/\s+/g, ' ').trim()}`;
+        })
+        .join('\n\n');
+}
+
+module.exports = {
+    chunkDocument,
+    buildIndex,
+    saveIndex,
+    createLocalIndex,
+    loadLocalIndex,
+    formatLocalResults
+};
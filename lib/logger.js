@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+
+// Fields holding what users wrote or what the model answered, including the
+// search queries and glossary expansions planned from a question. With
+// redaction on they are logged as their length only.
+const CONTENT_FIELDS = new Set([
+    'message', 'query', 'searchQuery', 'rewritten', 'queries', 'expansions', 'queryPlan',
+    'arguments', 'response', 'sentences'
+]);
+
+// The request being handled (its id, trace, current span and the LLM tokens
+// it has used so far), kept across
+// awaits so log lines and spans deep in the pipeline know which request
+// they belong to without it being passed around
+const requestContext = new AsyncLocalStorage();
+
+// Accept the caller's request id if it looks like one, or make a new one
+function requestIdFrom(headers = {}) {
+    const given = headers['x-request-id'] || headers['X-Request-Id'];
+    return typeof given === 'string' && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+}
+
+// Run fn as the handling of one request. Log lines and spans inside it
+// carry requestId, and spans share one trace.
+function runInRequest(requestId, fn) {
+    return requestContext.run({
+        requestId,
+        traceId: crypto.randomBytes(16).toString('hex'),
+        spanId: null,
+        spanName: null,
+        spans: [],
+        usage: { promptTokens: 0, completionTokens: 0 }
+    }, fn);
+}
+
+function currentRequest() {
+    return requestContext.getStore() || null;
+}
+
+function redactValue(value) {
+    if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+    if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+    return '[redacted]';
+}
+
+// Make fields safe to serialize: errors become their message (and name),
+// content fields are redacted if asked
+function cleanFields(fields, redact) {
+    const clean = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value === undefined) continue;
+        if (value instanceof Error) {
+            clean[key] = value.message;
+            if (value.name && value.name !== 'Error') clean[`${key}Name`] = value.name;
+            if (value.status) clean[`${key}Status`] = value.status;
+        } else if (redact && CONTENT_FIELDS.has(key)) {
+            clean[key] = redactValue(value);
+        } else {
+            clean[key] = value;
+        }
+    }
+    return clean;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const rest = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+// Structured logger. Each line is one JSON object (or, with format
+// 'pretty', one readable line) with time, level, msg, the request id if
+// inside runInRequest, and the given fields:
+//
+//   logger.info('Fetched page', { url, status });
+//
+// span(name, attributes, fn) runs fn as a named step of the request, logs
+// its duration when it ends and, with an exporter (see otlp.js), sends the
+// request's spans once its outermost span ends. fn is passed the span, whose
+// set(fields) adds attributes found out along the way.
+//
+// - level: 'debug', 'info', 'warn', 'error' or 'off'
+// - redact: log user messages, queries and answers by length only
+// - fields: added to every line (see child())
+function createLogger({
+    level = 'info',
+    format = 'json',
+    redact = true,
+    write = line => process.stdout.write(`${line}\n`),
+    exporter = null,
+    fields: baseFields = {}
+} = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    function emit(levelName, msg, fields) {
+        emitClean(levelName, msg, cleanFields(fields, redact));
+    }
+
+    // Write a line whose fields have already been through cleanFields(), so
+    // redacted values aren't redacted again
+    function emitClean(levelName, msg, clean) {
+        if (LEVELS[levelName] < threshold) return;
+
+        const request = currentRequest();
+        const entry = {
+            time: new Date().toISOString(),
+            level: levelName,
+            msg,
+            ...(request ? { requestId: request.requestId } : {}),
+            ...baseFields,
+            ...clean
+        };
+        write(format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+    }
+
+    const logger = {
+        level,
+        redact,
+
+        debug: (msg, fields) => emit('debug', msg, fields),
+        info: (msg, fields) => emit('info', msg, fields),
+        warn: (msg, fields) => emit('warn', msg, fields),
+        error: (msg, fields) => emit('error', msg, fields),
+
+        // A logger adding fields to every line
+        child(fields) {
+            return createLogger({ level, format, redact, write, exporter, fields: { ...baseFields, ...fields } });
+        },
+
+        async span(name, attributes, fn) {
+            const request = currentRequest();
+            const record = {
+                name,
+                spanId: crypto.randomBytes(8).toString('hex'),
+                parentSpanId: request ? request.spanId : null,
+                startTime: Date.now(),
+                attributes: cleanFields(attributes, redact)
+            };
+            const handle = {
+                set(fields) {
+                    Object.assign(record.attributes, cleanFields(fields, redact));
+                }
+            };
+            if (!request) return fn(handle);
+
+            try {
+                const result = await requestContext.run({ ...request, spanId: record.spanId, spanName: name }, () => fn(handle));
+                record.status = 'ok';
+                return result;
+            } catch (error) {
+                record.status = 'error';
+                record.error = error.message;
+                throw error;
+            } finally {
+                record.endTime = Date.now();
+                request.spans.push(record);
+                // The attributes were cleaned as they were set, and are
+                // exported as they are logged
+                emitClean(record.status === 'error' ? 'warn' : 'info', `${name} finished`, {
+                    ...cleanFields({
+                        span: name,
+                        durationMs: record.endTime - record.startTime,
+                        status: record.status,
+                        error: record.error
+                    }, redact),
+                    ...record.attributes
+                });
+
+                if (!record.parentSpanId && exporter) {
+                    exporter.export(request.traceId, request.spans);
+                }
+            }
+        }
+    };
+
+    return logger;
+}
+
+// Logger settings from environment variables: LOG_LEVEL, LOG_FORMAT
+// ('json' or 'pretty') and LOG_REDACT ('false' to log message content)
+function loggerOptionsFromEnv(env = process.env) {
+    return {
+        level: LEVELS[env.LOG_LEVEL] ? env.LOG_LEVEL : 'info',
+        format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+        redact: env.LOG_REDACT !== 'false'
+    };
+}
+
+// Logger used when none is passed in
+const defaultLogger = createLogger(loggerOptionsFromEnv());
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    loggerOptionsFromEnv,
+    defaultLogger,
+    requestIdFrom,
+    runInRequest,
+    currentRequest
+};
@@ -0,0 +1,284 @@
+const axios = require('axios');
+const { createSSEParser } = require('./sse');
+const { defaultLogger } = require('./logger');
+
+// Protocol version we ask for during the initialize handshake
+const PROTOCOL_VERSION = '2025-03-26';
+
+const DEFAULT_CLIENT_INFO = {
+    name: 'cerebras-docs-chatbot',
+    version: '1.0.0'
+};
+
+// Read a response body stream to the end as text
+function readBody(stream) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            text += chunk;
+        });
+        stream.on('end', () => resolve(text));
+        stream.on('error', reject);
+    });
+}
+
+// Pick the JSON-RPC response to request `id` out of an HTTP response whose
+// body is either plain JSON or an SSE stream. Servers may send notifications
+// (progress, logging) or their own requests on the stream before the
+// response; those are passed to onMessage. Resolves as soon as the matching
+// response arrives, without waiting for the server to close the stream.
+function readJsonRpcResponse(response, id, onMessage, logger) {
+    const contentType = response.headers['content-type'] || '';
+    const stream = response.data;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+
+        function settle(fn, value) {
+            if (settled) return;
+            settled = true;
+            stream.destroy();
+            fn(value);
+        }
+
+        // Returns true once the response we are waiting for has been seen
+        function handleMessage(message) {
+            if (Array.isArray(message)) {
+                return message.some(handleMessage);
+            }
+            if (!message || typeof message !== 'object') return false;
+
+            if (message.id === id && ('result' in message || 'error' in message)) {
+                settle(resolve, message);
+                return true;
+            }
+            if (message.method) {
+                try {
+                    onMessage(message);
+                } catch (error) {
+                    logger.warn('MCP notification handler failed', { error });
+                }
+            }
+            return false;
+        }
+
+        if (!contentType.includes('text/event-stream')) {
+            readBody(stream).then(text => {
+                try {
+                    handleMessage(JSON.parse(text));
+                } catch (error) {
+                    return settle(reject, new Error(`Invalid JSON from MCP server: ${error.message}`));
+                }
+                settle(reject, new Error(`MCP server sent no response to request ${id}`));
+            }, error => settle(reject, error));
+            return;
+        }
+
+        const parser = createSSEParser(event => {
+            if (settled || event.type !== 'message') return;
+            try {
+                handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                logger.warn('Failed to parse SSE data', { error });
+            }
+        });
+
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => parser.push(chunk));
+        stream.on('end', () => {
+            parser.end();
+            settle(reject, new Error(`MCP stream ended without a response to request ${id}`));
+        });
+        stream.on('error', error => settle(reject, error));
+    });
+}
+
+// Client for an MCP server over the Streamable HTTP transport. The
+// initialize handshake runs once and its session (Mcp-Session-Id and the
+// negotiated protocol version) is reused for every later call. When the
+// server expires the session it answers 404, and the client reconnects and
+// retries once. It speaks the few JSON-RPC calls we need over axios
+// rather than depending on the MCP SDK.
+//
+// onNotification receives notifications and requests the server sends
+// while answering a call, unless the call passes its own handler.
+function createMcpClient({ url, clientInfo = DEFAULT_CLIENT_INFO, timeout = 15000, onNotification = () => {}, logger = defaultLogger }) {
+    let nextId = 1;
+    let session = null;
+    let connecting = null;
+    let toolsCache = null;
+
+    function buildHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream'
+        };
+        if (session && session.sessionId) {
+            headers['Mcp-Session-Id'] = session.sessionId;
+        }
+        if (session && session.protocolVersion) {
+            headers['MCP-Protocol-Version'] = session.protocolVersion;
+        }
+        return headers;
+    }
+
+    // POST a JSON-RPC message. The body is kept as a stream so SSE replies
+    // can be read as they arrive. HTTP errors are thrown with the body read
+    // as text in error.response.data. A callTimeout shorter than the
+    // client's timeout also cuts off a reply still streaming in.
+    async function post(body, callTimeout = timeout) {
+        const response = await axios.post(url, body, {
+            headers: buildHeaders(),
+            timeout: callTimeout,
+            signal: AbortSignal.timeout(callTimeout),
+            responseType: 'stream',
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400) {
+            const error = new Error(`MCP server responded with status ${response.status}`);
+            error.response = { status: response.status, data: await readBody(response.data) };
+            throw error;
+        }
+        return response;
+    }
+
+    // Send a request and resolve with its result (or throw its JSON-RPC error)
+    async function send(method, params, handler, callTimeout) {
+        const id = nextId++;
+        const response = await post({ jsonrpc: '2.0', id, method, params }, callTimeout);
+        const message = await readJsonRpcResponse(response, id, handler || onNotification, logger);
+
+        if (message.error) {
+            throw new Error(`MCP error ${message.error.code}: ${message.error.message}`);
+        }
+        return message.result;
+    }
+
+    // Both POSTs of the handshake share callTimeout
+    async function handshake(callTimeout) {
+        const startedAt = Date.now();
+        const remaining = () => Math.max(1, callTimeout - (Date.now() - startedAt));
+
+        const id = nextId++;
+        const response = await post({
+            jsonrpc: '2.0',
+            id,
+            method: 'initialize',
+            params: {
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo
+            }
+        }, remaining());
+        const message = await readJsonRpcResponse(response, id, onNotification, logger);
+        if (message.error) {
+            throw new Error(`MCP error ${message.error.code}: ${message.error.message}`);
+        }
+        const result = message.result;
+
+        session = {
+            sessionId: response.headers['mcp-session-id'] || null,
+            protocolVersion: result.protocolVersion || PROTOCOL_VERSION,
+            serverInfo: result.serverInfo || null,
+            capabilities: result.capabilities || {}
+        };
+        logger.info('Connected to MCP server', {
+            server: session.serverInfo ? session.serverInfo.name : undefined,
+            protocol: session.protocolVersion
+        });
+
+        const ack = await post({
+            jsonrpc: '2.0',
+            method: 'notifications/initialized'
+        }, remaining());
+        ack.data.destroy();
+
+        return session;
+    }
+
+    // Run the handshake once, sharing it between concurrent callers. Each
+    // caller waits at most its own callTimeout, even for a handshake another
+    // caller started with a longer one.
+    async function connect({ timeout: callTimeout = timeout } = {}) {
+        if (session) return session;
+        if (!connecting) {
+            connecting = handshake(callTimeout).finally(() => {
+                connecting = null;
+            });
+        }
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`MCP handshake timed out after ${callTimeout}ms`)), callTimeout);
+        });
+        try {
+            return await Promise.race([connecting, timedOut]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function reset() {
+        session = null;
+        toolsCache = null;
+    }
+
+    // callTimeout covers connecting (or reconnecting) as well as the call
+    async function request(method, params = {}, { handler = null, timeout: callTimeout = timeout } = {}, retried = false) {
+        const startedAt = Date.now();
+        const remaining = () => Math.max(1, callTimeout - (Date.now() - startedAt));
+        await connect({ timeout: callTimeout });
+
+        try {
+            return await send(method, params, handler, remaining());
+        } catch (error) {
+            if (!retried && error.response && error.response.status === 404) {
+                logger.info('MCP session expired, reconnecting', { url });
+                reset();
+                return request(method, params, { handler, timeout: remaining() }, true);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        connect,
+
+        // Tools are cached for the life of the session. timeout (in
+        // milliseconds) covers connecting first if needed.
+        async listTools({ timeout: callTimeout } = {}) {
+            if (!toolsCache) {
+                const result = await request('tools/list', {}, { timeout: callTimeout });
+                toolsCache = result.tools || [];
+                logger.debug('Listed MCP tools', { tools: toolsCache.map(tool => tool.name) });
+            }
+            return toolsCache;
+        },
+
+        // onNotification overrides the client-wide handler for this call,
+        // and timeout the client-wide timeout (in milliseconds), including
+        // the handshake when the client isn't connected yet
+        async callTool(name, args = {}, { onNotification: handler, timeout: callTimeout } = {}) {
+            return request('tools/call', { name, arguments: args }, { handler, timeout: callTimeout });
+        },
+
+        // MCP ping, connecting first if needed. Used to check the server
+        // is reachable.
+        async ping({ timeout: callTimeout } = {}) {
+            await request('ping', {}, { timeout: callTimeout });
+        },
+
+        getSession() {
+            return session;
+        },
+
+        reset
+    };
+}
+
+module.exports = {
+    createMcpClient,
+    readJsonRpcResponse
+};
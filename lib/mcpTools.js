@@ -0,0 +1,57 @@
+// Longest tool result passed back to the model, in characters
+const MAX_TOOL_RESULT_LENGTH = 20000;
+
+// Function names must match ^[a-zA-Z0-9_-]{1,64}$, which MCP tool names
+// don't have to
+function toFunctionName(toolName) {
+    return toolName.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64);
+}
+
+// Turn the tools advertised by an MCP server into chat completion tool
+// definitions. Returns the definitions and a map from function name back to
+// the MCP tool name. prefix keeps names apart when tools from several
+// servers are offered together.
+function toFunctionTools(mcpTools, { prefix = '' } = {}) {
+    const toolNames = new Map();
+
+    const tools = mcpTools.map(tool => {
+        const name = toFunctionName(`${prefix}${tool.name}`);
+        toolNames.set(name, tool.name);
+
+        return {
+            type: 'function',
+            function: {
+                name,
+                description: tool.description || tool.title || tool.name,
+                parameters: tool.inputSchema || { type: 'object', properties: {} }
+            }
+        };
+    });
+
+    return { tools, toolNames };
+}
+
+// Flatten an MCP tools/call result into text for a tool message
+function formatToolResult(result) {
+    const parts = (result && Array.isArray(result.content) ? result.content : [])
+        .map(item => {
+            if (item.type === 'text') return item.text;
+            if (item.type === 'resource' && item.resource && item.resource.text) return item.resource.text;
+            if (item.type === 'resource_link') return `${item.name || 'Resource'}: ${item.uri}`;
+            return `[${item.type} content omitted]`;
+        });
+
+    if (parts.length === 0 && result && result.structuredContent) {
+        parts.push(JSON.stringify(result.structuredContent));
+    }
+
+    const text = parts.join('\n\n') || 'The tool returned no content.';
+    return text.length > MAX_TOOL_RESULT_LENGTH
+        ? `${text.substring(0, MAX_TOOL_RESULT_LENGTH)}\n[truncated]`
+        : text;
+}
+
+module.exports = {
+    toFunctionTools,
+    formatToolResult
+};
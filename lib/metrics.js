@@ -0,0 +1,191 @@
+const { currentRequest } = require('./logger');
+
+// Latency buckets in seconds, from a cached search to a slow answer
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// A counter per label combination
+function createCounter(name, help) {
+    const values = new Map();
+
+    return {
+        inc(labels = {}, by = 1) {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + by);
+        },
+
+        get(labels = {}) {
+            return values.get(formatLabels(labels)) || 0;
+        },
+
+        render() {
+            const lines = header(name, help, 'counter');
+            for (const [labels, value] of values) {
+                lines.push(`${name}${labels} ${value}`);
+            }
+            return lines;
+        }
+    };
+}
+
+// A histogram per label combination, with cumulative buckets as
+// Prometheus expects
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+    const series = new Map();
+
+    return {
+        observe(labels, value) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+        },
+
+        render() {
+            const lines = header(name, help, 'histogram');
+            for (const [key, entry] of series) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${key} ${entry.sum}`);
+                lines.push(`${name}_count${key} ${entry.count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+// Pipeline health and token usage in the Prometheus text format, kept in
+// memory per process. Most of it is read off the spans of each finished
+// request (see logger.js), so the pipeline doesn't need to know about it:
+//
+// - chat_requests_total: requests that ran, by mode and outcome
+//   (answered, cached or error)
+// - chat_rejected_requests_total: requests turned away, by HTTP status
+// - chat_request_duration_seconds / chat_step_duration_seconds: latency
+//   of whole requests and of each pipeline step
+// - chat_mcp_calls_total: MCP searches and tool calls by source and
+//   outcome, for the MCP failure rate
+// - chat_context_fallbacks_total: answers given without any docs context
+// - chat_page_fetches_total / chat_page_fetch_errors_total
+// - chat_llm_tokens_total: prompt and completion tokens the LLM reported,
+//   by step and model
+function createMetrics() {
+    const requests = createCounter('chat_requests_total', 'Chat requests handled, by mode and outcome.');
+    const rejected = createCounter('chat_rejected_requests_total', 'Chat requests rejected before running, by HTTP status.');
+    const requestDuration = createHistogram('chat_request_duration_seconds', 'Time to handle a chat request.');
+    const stepDuration = createHistogram('chat_step_duration_seconds', 'Time spent in each pipeline step.');
+    const mcpCalls = createCounter('chat_mcp_calls_total', 'MCP searches and tool calls, by source and outcome.');
+    const fallbacks = createCounter('chat_context_fallbacks_total', 'Answers given without docs context because no source could be searched.');
+    const pageFetches = createCounter('chat_page_fetches_total', 'Doc pages the pipeline tried to fetch.');
+    const pageFetchErrors = createCounter('chat_page_fetch_errors_total', 'Doc page fetches that failed.');
+    const tokens = createCounter('chat_llm_tokens_total', 'LLM tokens reported by the API, by step, model and type.');
+    const all = [requests, rejected, requestDuration, stepDuration, mcpCalls, fallbacks, pageFetches, pageFetchErrors, tokens];
+
+    function recordSpan(span, mode) {
+        const seconds = (span.endTime - span.startTime) / 1000;
+        const attributes = span.attributes || {};
+
+        if (!span.parentSpanId) {
+            requestDuration.observe({ mode }, seconds);
+            return;
+        }
+        stepDuration.observe({ step: span.name }, seconds);
+
+        if (span.name === 'search.source') {
+            mcpCalls.inc({ source: attributes.source, call: 'search', outcome: attributes.failed ? 'error' : 'ok' });
+        } else if (span.name === 'tool') {
+            mcpCalls.inc({ source: attributes.source, call: 'tool', outcome: span.status === 'error' ? 'error' : 'ok' });
+        } else if (span.name === 'fetch') {
+            pageFetches.inc({}, attributes.urls || 0);
+            pageFetchErrors.inc({}, attributes.errors || 0);
+        } else if (span.name === 'answer' && attributes.withDocs === false) {
+            fallbacks.inc({ mode });
+        }
+    }
+
+    return {
+        // A request that ran, with the spans it recorded
+        recordRequest({ mode, outcome, spans = [] }) {
+            requests.inc({ mode, outcome });
+            for (const span of spans) {
+                recordSpan(span, mode);
+            }
+        },
+
+        recordRejection(statusCode) {
+            rejected.inc({ status: statusCode });
+        },
+
+        // Token counts from a completion's `usage`, counted against the
+        // step (span) the call was made in and added to the request's total
+        recordUsage(model, usage) {
+            if (!usage) return;
+            const request = currentRequest();
+            const step = (request && request.spanName) || 'other';
+            if (usage.prompt_tokens) tokens.inc({ step, model, type: 'prompt' }, usage.prompt_tokens);
+            if (usage.completion_tokens) tokens.inc({ step, model, type: 'completion' }, usage.completion_tokens);
+            if (request) {
+                request.usage.promptTokens += usage.prompt_tokens || 0;
+                request.usage.completionTokens += usage.completion_tokens || 0;
+            }
+        },
+
+        counters: { requests, rejected, mcpCalls, fallbacks, pageFetches, pageFetchErrors, tokens },
+
+        render() {
+            return `${all.flatMap(metric => metric.render()).join('\n')}\n`;
+        }
+    };
+}
+
+// Wrap an LLM client so every completion's `usage` is recorded. Streamed
+// completions report it on their last chunk.
+function withUsageMetrics(llm, metrics) {
+    return {
+        models: llm.models,
+        chat: {
+            completions: {
+                async create(params, options) {
+                    const result = await llm.chat.completions.create(params, options);
+                    if (!params.stream) {
+                        metrics.recordUsage(params.model, result && result.usage);
+                        return result;
+                    }
+                    return (async function* () {
+                        for await (const chunk of result) {
+                            if (chunk.usage) metrics.recordUsage(params.model, chunk.usage);
+                            yield chunk;
+                        }
+                    })();
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    DURATION_BUCKETS,
+    createMetrics,
+    withUsageMetrics
+};
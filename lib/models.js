@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const DEFAULT_MODEL = 'qwen-3-235b-a22b-instruct-2507';
+
+// Completion parameters for each pipeline stage:
+//
+// - rewrite: turning follow-up questions into standalone search queries
+// - plan: breaking long or multi-part questions into focused search queries
+// - analyze: picking the pages to fetch from the search results
+// - answer: the answer shown to the user
+// - agent: each completion of the agent mode tool loop
+// - verify: checking the answer's sentences against the docs
+// - revise: rewriting answers that failed that check
+const DEFAULT_STAGES = {
+    rewrite: { model: DEFAULT_MODEL, temperature: 0, maxTokens: 100 },
+    plan: { model: DEFAULT_MODEL, temperature: 0, maxTokens: 150 },
+    analyze: { model: DEFAULT_MODEL, temperature: 0.3, maxTokens: 200 },
+    answer: { model: DEFAULT_MODEL, temperature: 0.7, maxTokens: 1000 },
+    agent: { model: DEFAULT_MODEL, temperature: 0.7, maxTokens: 1000 },
+    verify: { model: DEFAULT_MODEL, temperature: 0, maxTokens: 500 },
+    revise: { model: DEFAULT_MODEL, temperature: 0.2, maxTokens: 1000 }
+};
+
+const STAGE_NAMES = Object.keys(DEFAULT_STAGES);
+
+function readNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+function readModelList(value) {
+    if (Array.isArray(value)) return value;
+    return (value || '').split(',').map(model => model.trim()).filter(Boolean);
+}
+
+// Read the model config file, JSON or YAML by extension
+function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    return ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+}
+
+function checkStage(name, stage) {
+    if (typeof stage.model !== 'string' || !stage.model) {
+        throw new Error(`Stage ${name} needs a model name`);
+    }
+    if (typeof stage.temperature !== 'number' || stage.temperature < 0 || stage.temperature > 2) {
+        throw new Error(`Stage ${name} temperature must be between 0 and 2`);
+    }
+    if (!Number.isInteger(stage.maxTokens) || stage.maxTokens < 1) {
+        throw new Error(`Stage ${name} maxTokens must be a positive integer`);
+    }
+    if (stage.topP !== undefined && (typeof stage.topP !== 'number' || stage.topP <= 0 || stage.topP > 1)) {
+        throw new Error(`Stage ${name} topP must be between 0 and 1`);
+    }
+    return stage;
+}
+
+// Load the model and generation parameters of each stage. Values come from
+// the defaults, then MODEL_CONFIG_FILE (JSON or YAML), then environment
+// variables:
+//
+// - MODEL: default model for every stage
+// - <STAGE>_MODEL, <STAGE>_TEMPERATURE, <STAGE>_MAX_TOKENS, <STAGE>_TOP_P,
+//   e.g. ANSWER_MODEL or ANALYZE_TEMPERATURE
+// - ALLOWED_MODELS: comma-separated models callers may ask for with
+//   `model` (default: just the answer model)
+//
+// The file has the same shape as the result:
+//   { model, allowedModels, stages: { answer: { model, temperature, maxTokens, topP } } }
+//
+// Returns { model, stages, allowedModels } or throws if the config is invalid.
+function loadModelConfig(env = process.env) {
+    const file = env.MODEL_CONFIG_FILE ? readConfigFile(env.MODEL_CONFIG_FILE) || {} : {};
+    const model = env.MODEL || file.model || DEFAULT_MODEL;
+
+    const stages = {};
+    for (const name of STAGE_NAMES) {
+        const fromFile = (file.stages && file.stages[name]) || {};
+        const prefix = name.toUpperCase();
+        const stage = {
+            ...DEFAULT_STAGES[name],
+            model,
+            ...fromFile
+        };
+
+        if (env[`${prefix}_MODEL`]) stage.model = env[`${prefix}_MODEL`];
+        const temperature = readNumber(env[`${prefix}_TEMPERATURE`]);
+        if (temperature !== undefined) stage.temperature = temperature;
+        const maxTokens = readNumber(env[`${prefix}_MAX_TOKENS`]);
+        if (maxTokens !== undefined) stage.maxTokens = maxTokens;
+        const topP = readNumber(env[`${prefix}_TOP_P`]);
+        if (topP !== undefined) stage.topP = topP;
+
+        stages[name] = checkStage(name, stage);
+    }
+
+    const allowedModels = readModelList(env.ALLOWED_MODELS || file.allowedModels);
+    if (!allowedModels.includes(stages.answer.model)) {
+        allowedModels.unshift(stages.answer.model);
+    }
+
+    return { model, stages, allowedModels };
+}
+
+// Completion parameters for a stage, optionally with another model
+function completionParams(stage, model = stage.model) {
+    const params = {
+        model,
+        temperature: stage.temperature,
+        max_tokens: stage.maxTokens
+    };
+    if (stage.topP !== undefined) params.top_p = stage.topP;
+    return params;
+}
+
+// Check that every configured model is one the API serves. Returns the
+// names it doesn't know (empty when all is well); throws if the models
+// can't be listed.
+async function findUnknownModels(llm, { stages, allowedModels }) {
+    const listed = await llm.models.list();
+    const available = new Set((listed.data || listed).map(model => model.id));
+
+    const configured = new Set([...Object.values(stages).map(stage => stage.model), ...allowedModels]);
+    return [...configured].filter(model => !available.has(model));
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    DEFAULT_STAGES,
+    loadModelConfig,
+    completionParams,
+    findUnknownModels
+};
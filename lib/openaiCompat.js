@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+// Message roles passed on to the chat service. System and developer
+// messages are dropped: the pipeline's own prompts decide how to answer.
+const CONVERSATION_ROLES = ['user', 'assistant'];
+
+// An error in the shape OpenAI clients expect
+function openAIError(message, type = 'invalid_request_error') {
+    return { error: { message, type, param: null, code: null } };
+}
+
+// The text of a message's content, which is either a string or a list of
+// parts of which only the text ones are kept
+function messageText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+
+    return content
+        .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+        .map(part => part.text)
+        .join('\n');
+}
+
+function toUsage({ promptTokens, completionTokens }) {
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+// OpenAI responses have no place for sources, so the ones the answer cites
+// are listed after it to keep its [n] markers meaningful
+function sourceList(sources, metadata) {
+    const cited = new Set(metadata.citedSourceIds || []);
+    const lines = sources
+        .filter(source => cited.has(source.id))
+        .map(source => `[${source.id}] ${source.title}${source.url ? ` (${source.url})` : ''}`);
+    return lines.length > 0 ? `\n\nSources:\n${lines.join('\n')}` : '';
+}
+
+// The OpenAI chat completions protocol over the chat service (see
+// chatService.js), so any OpenAI client can ask the docs bot. Like the chat
+// service it is independent of any HTTP framework: adapters call prepare()
+// and then respond() or stream().
+//
+// stages and allowedModels are the model settings (see models.js), used to
+// name the model in replies and list the models clients may ask for.
+function createCompletionsService({ chatService, stages, allowedModels = [] }) {
+    function modelFor(request) {
+        return request.model || (request.mode === 'agent' ? stages.agent : stages.answer).model;
+    }
+
+    function completionId() {
+        return `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+    }
+
+    return {
+        // Validate a /v1/chat/completions body. The last user message is the
+        // question and the user and assistant turns before it its history.
+        // `mode` and `source` are passed on as in /chat. Returns { error } for
+        // a bad request, otherwise the request to pass to respond() or
+        // stream(); options are those of chatService.prepare().
+        prepare(body, options) {
+            if (!body || typeof body !== 'object') {
+                return { error: 'Request body must be a JSON object' };
+            }
+            if (!Array.isArray(body.messages) || body.messages.length === 0) {
+                return { error: 'messages must be a non-empty array' };
+            }
+            if (body.n !== undefined && body.n !== null && body.n !== 1) {
+                return { error: 'Only one choice (n: 1) is supported' };
+            }
+
+            const messages = body.messages
+                .filter(msg => msg && CONVERSATION_ROLES.includes(msg.role))
+                .map(msg => ({ role: msg.role, content: messageText(msg.content) }));
+            if (messages.length === 0 || messages[messages.length - 1].role !== 'user') {
+                return { error: 'The last message must be a user message' };
+            }
+
+            const request = chatService.prepare({ messages, model: body.model, mode: body.mode, source: body.source }, options);
+            if (request.error) {
+                return { error: request.error };
+            }
+
+            return {
+                request,
+                stream: body.stream === true,
+                includeUsage: Boolean(body.stream_options && body.stream_options.include_usage)
+            };
+        },
+
+        // Answer as a chat.completion object, as { statusCode, body }
+        async respond({ request }) {
+            const created = Math.floor(Date.now() / 1000);
+            const { statusCode, body } = await chatService.respond(request);
+            if (statusCode !== 200) {
+                return { statusCode, body: openAIError(body.response, 'server_error') };
+            }
+
+            return {
+                statusCode,
+                body: {
+                    id: completionId(),
+                    object: 'chat.completion',
+                    created,
+                    model: body.metadata.model || modelFor(request),
+                    choices: [{
+                        index: 0,
+                        message: { role: 'assistant', content: body.response + sourceList(body.sources, body.metadata) },
+                        finish_reason: 'stop'
+                    }],
+                    usage: toUsage(body.usage)
+                }
+            };
+        },
+
+        // Answer as a stream of chat.completion.chunk objects, calling
+        // write(text) with each Server-Sent Event. Progress events become
+        // comments, which keep the connection busy while the docs are
+        // searched. The stream ends with `data: [DONE]`.
+        async stream({ request, includeUsage }, write) {
+            const id = completionId();
+            const created = Math.floor(Date.now() / 1000);
+            let model = modelFor(request);
+            let streamed = '';
+
+            const send = data => write(`data: ${JSON.stringify(data)}\n\n`);
+            const chunk = (delta, finishReason = null) => ({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model,
+                choices: [{ index: 0, delta, finish_reason: finishReason }]
+            });
+
+            send(chunk({ role: 'assistant', content: '' }));
+            await chatService.stream(request, (event, data) => {
+                if (event === 'progress') {
+                    write(`: ${data.step}\n\n`);
+                } else if (event === 'delta') {
+                    streamed += data.content;
+                    send(chunk({ content: data.content }));
+                } else if (event === 'done') {
+                    model = data.metadata.model || model;
+
+                    // The final answer can differ from the streamed text (e.g.
+                    // citations to unknown sources removed). Only what hasn't
+                    // been sent yet can still be added.
+                    const rest = data.response.startsWith(streamed) ? data.response.slice(streamed.length) : '';
+                    const content = rest + sourceList(data.sources, data.metadata);
+                    if (content) send(chunk({ content }));
+
+                    send(chunk({}, 'stop'));
+                    if (includeUsage) {
+                        send({ id, object: 'chat.completion.chunk', created, model, choices: [], usage: toUsage(data.usage) });
+                    }
+                } else if (event === 'error') {
+                    send(openAIError(data.response, 'server_error'));
+                }
+            });
+            write('data: [DONE]\n\n');
+        },
+
+        // The models clients may ask for, as a model list
+        models() {
+            return {
+                object: 'list',
+                data: allowedModels.map(model => ({ id: model, object: 'model', created: 0, owned_by: 'cerebras' }))
+            };
+        }
+    };
+}
+
+module.exports = {
+    createCompletionsService,
+    openAIError
+};
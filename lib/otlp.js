@@ -0,0 +1,70 @@
+// Sends request spans to an OpenTelemetry collector over OTLP/HTTP with the
+// JSON encoding (POST <endpoint>/v1/traces), e.g. a local collector at
+// http://localhost:4318. Export is best effort: failures are reported to
+// onError and never affect the request.
+
+function toAttributeValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+function toAttributes(fields) {
+    return Object.entries(fields || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+}
+
+function toNanos(ms) {
+    return `${BigInt(ms) * 1000000n}`;
+}
+
+// The OTLP JSON body for one request's spans
+function buildTracePayload(traceId, spans, serviceName) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+            scopeSpans: [{
+                scope: { name: serviceName },
+                spans: spans.map(span => ({
+                    traceId,
+                    spanId: span.spanId,
+                    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+                    name: span.name,
+                    // SPAN_KIND_SERVER for the request, INTERNAL for its steps
+                    kind: span.parentSpanId ? 1 : 2,
+                    startTimeUnixNano: toNanos(span.startTime),
+                    endTimeUnixNano: toNanos(span.endTime),
+                    attributes: toAttributes(span.attributes),
+                    status: span.status === 'error' ? { code: 2, message: span.error || '' } : { code: 1 }
+                }))
+            }]
+        }]
+    };
+}
+
+function createOtlpExporter({ endpoint, serviceName = 'chat-docs-backend', headers = {}, timeout = 2000, onError = () => {} }) {
+    const url = `${endpoint.replace(/\/$/, '')}/v1/traces`;
+
+    return {
+        export(traceId, spans) {
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(buildTracePayload(traceId, spans, serviceName)),
+                signal: AbortSignal.timeout(timeout)
+            })
+                .then((response) => {
+                    if (!response.ok) onError(new Error(`Collector answered ${response.status}`));
+                    return response.body && response.body.cancel();
+                })
+                .catch(onError);
+        }
+    };
+}
+
+module.exports = {
+    buildTracePayload,
+    createOtlpExporter
+};
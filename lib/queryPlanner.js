@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// When to ask the plan stage model to break a question into several
+// search queries: 'auto' for long or multi-part questions, 'always', or
+// 'off' (the question is searched as is, with glossary expansions)
+const QUERY_PLANNING_MODES = ['auto', 'always', 'off'];
+
+// Terms in questions and the words the docs use for them. Each planned
+// query is searched with the expansions of the terms it contains.
+const DEFAULT_GLOSSARY = {
+    'WSE': ['Wafer-Scale Engine'],
+    'CSX': ['CS-3 system'],
+    'cszoo': ['Model Zoo CLI'],
+    'modelzoo': ['Model Zoo'],
+    'cstorch': ['cerebras.pytorch'],
+    'weight streaming': ['weight streaming execution'],
+    'multi-node': ['multiple CS-3 systems'],
+    'SDK': ['Cerebras SDK']
+};
+
+// Questions with more words than this are planned in 'auto' mode
+const LONG_QUESTION_WORDS = 15;
+
+// Longest planned query kept
+const MAX_QUERY_CHARS = 200;
+
+function checkGlossaryObject(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('The glossary must be a JSON object of term: [expansions]');
+    }
+}
+
+// Check a glossary: each term maps to a list of expansions (or one
+// string). Throws if it isn't one.
+function normalizeGlossary(raw) {
+    checkGlossaryObject(raw);
+
+    const glossary = {};
+    for (const [term, value] of Object.entries(raw)) {
+        if (value === null) continue;
+        const expansions = Array.isArray(value) ? value : [value];
+        if (!term.trim() || expansions.some(expansion => typeof expansion !== 'string' || !expansion.trim())) {
+            throw new Error(`Glossary term "${term}" needs a list of non-empty expansions`);
+        }
+        glossary[term.trim()] = expansions.map(expansion => expansion.trim());
+    }
+    return glossary;
+}
+
+// The glossary: the built-in terms extended (or overridden) by
+// GLOSSARY_FILE (JSON or YAML by extension) or the JSON in GLOSSARY. A term
+// set to null is removed.
+function loadGlossary(env = process.env) {
+    let raw = {};
+    if (env.GLOSSARY_FILE) {
+        const text = fs.readFileSync(env.GLOSSARY_FILE, 'utf8');
+        raw = ['.yaml', '.yml'].includes(path.extname(env.GLOSSARY_FILE).toLowerCase()) ? YAML.parse(text) || {} : JSON.parse(text);
+    } else if (env.GLOSSARY) {
+        raw = JSON.parse(env.GLOSSARY);
+    }
+
+    checkGlossaryObject(raw);
+    return normalizeGlossary({ ...DEFAULT_GLOSSARY, ...raw });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Add the expansions of the glossary terms found in a query (as whole
+// words, ignoring case) that it doesn't already contain. Returns
+// { query, expansions: [{ term, added }] }.
+function expandQuery(query, glossary) {
+    const expansions = [];
+    let expanded = query;
+
+    for (const [term, alternatives] of Object.entries(glossary)) {
+        const pattern = new RegExp(`(^|[^\\w-])${escapeRegExp(term)}(?![\\w-])`, 'i');
+        if (!pattern.test(query)) continue;
+
+        const added = alternatives.filter(alternative => !expanded.toLowerCase().includes(alternative.toLowerCase()));
+        if (added.length > 0) {
+            expansions.push({ term, added });
+            expanded += ` ${added.join(' ')}`;
+        }
+    }
+
+    return { query: expanded, expansions };
+}
+
+// Whether a question is worth breaking into several queries in 'auto'
+// mode: long, asking more than one thing, or over several lines
+function needsPlanning(question) {
+    const text = question.trim();
+    return text.split(/\s+/).length > LONG_QUESTION_WORDS ||
+        (text.match(/\?/g) || []).length > 1 ||
+        text.includes('\n');
+}
+
+// The queries in a plan stage reply, one per line with any list markers
+// and quotes removed, without duplicates and at most maxQueries
+function parsePlannedQueries(text, maxQueries) {
+    const queries = [];
+    for (const line of String(text || '').split('\n')) {
+        const query = line
+            .replace(/^\s*(?:[-*\u2022]|\d+[.)])\s*/, '')
+            .replace(/^["'`]+|["'`]+$/g, '')
+            .trim()
+            .slice(0, MAX_QUERY_CHARS);
+        if (query && !queries.some(existing => existing.toLowerCase() === query.toLowerCase())) {
+            queries.push(query);
+        }
+    }
+    return queries.slice(0, maxQueries);
+}
+
+module.exports = {
+    QUERY_PLANNING_MODES,
+    DEFAULT_GLOSSARY,
+    normalizeGlossary,
+    loadGlossary,
+    expandQuery,
+    needsPlanning,
+    parsePlannedQueries
+};
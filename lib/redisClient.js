@@ -0,0 +1,198 @@
+const net = require('net');
+const tls = require('tls');
+
+// Encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return out;
+}
+
+// Parse one RESP reply from buffer at offset. Returns { value, offset } or
+// null if the buffer doesn't hold a whole reply yet. Error replies are
+// returned as Error values.
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    if (type === '+') return { value: line, offset: next };
+    if (type === '-') return { value: new Error(line), offset: next };
+    if (type === ':') return { value: parseInt(line, 10), offset: next };
+
+    if (type === '$') {
+        const length = parseInt(line, 10);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+
+    if (type === '*') {
+        const count = parseInt(line, 10);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+            const item = parseReply(buffer, position);
+            if (!item) return null;
+            items.push(item.value);
+            position = item.offset;
+        }
+        return { value: items, offset: position };
+    }
+
+    throw new Error(`Unexpected RESP reply type ${type}`);
+}
+
+// Minimal client for Redis and Redis-compatible servers (Valkey, KeyDB,
+// Dragonfly, ...), enough for the cache. Commands are pipelined over one
+// connection, opened on first use and reopened after it drops. The URL may
+// carry a password (redis://:secret@host:6379) and a database number
+// (redis://host:6379/2); rediss:// connects over TLS. Connecting and each
+// command give up after timeout ms.
+function createRedisClient({ url = 'redis://127.0.0.1:6379', timeout = 5000 } = {}) {
+    const parsed = new URL(url);
+    const database = parseInt(parsed.pathname.slice(1), 10);
+    let connection = null;
+    let socket = null;
+    let ready = null;
+    let pending = [];
+    let buffer = Buffer.alloc(0);
+
+    function failPending(error) {
+        const failed = pending;
+        pending = [];
+        failed.forEach(({ reject }) => reject(error));
+    }
+
+    function onData(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+        let reply;
+        while (pending.length > 0 && (reply = parseReply(buffer))) {
+            buffer = buffer.subarray(reply.offset);
+            const { resolve, reject } = pending.shift();
+            if (reply.value instanceof Error) {
+                reject(reply.value);
+            } else {
+                resolve(reply.value);
+            }
+        }
+    }
+
+    // Forget the current connection, failing its queued commands with error
+    function reset(error) {
+        const dropped = connection;
+        connection = null;
+        socket = null;
+        ready = null;
+        buffer = Buffer.alloc(0);
+        failPending(error);
+        if (dropped) dropped.destroy();
+    }
+
+    // A command without a reply within timeout fails, and the connection is
+    // dropped (failing the commands queued behind it) since later replies
+    // could no longer be matched to their commands. The next command
+    // reconnects. A command that can't be written (the connection was reset
+    // since the caller connected) fails without being queued, so later
+    // replies still line up with their commands.
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            if (!socket) {
+                reject(new Error('Redis connection closed'));
+                return;
+            }
+
+            const timer = setTimeout(() => reset(new Error(`Redis command ${args[0]} timed out`)), timeout);
+            const entry = {
+                resolve: (value) => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            pending.push(entry);
+            try {
+                socket.write(encodeCommand(args));
+            } catch (error) {
+                pending = pending.filter(queued => queued !== entry);
+                entry.reject(error);
+            }
+        });
+    }
+
+    function connect() {
+        if (ready) return ready;
+
+        ready = new Promise((resolve, reject) => {
+            const options = { host: parsed.hostname, port: parseInt(parsed.port, 10) || 6379 };
+            const opened = parsed.protocol === 'rediss:'
+                ? tls.connect({ ...options, servername: parsed.hostname })
+                : net.connect(options);
+            connection = opened;
+
+            opened.setTimeout(timeout);
+            opened.on('data', (chunk) => {
+                if (connection === opened) onData(chunk);
+            });
+            opened.on('timeout', () => opened.destroy(new Error('Redis connection timed out')));
+            opened.on('error', (error) => {
+                reject(error);
+                if (connection === opened) failPending(error);
+            });
+            opened.on('close', () => {
+                // A connection dropped by reset() has already been replaced
+                if (connection === opened) reset(new Error('Redis connection closed'));
+            });
+            opened.once(parsed.protocol === 'rediss:' ? 'secureConnect' : 'connect', async () => {
+                socket = opened;
+                // Idle connections are fine once connected; each command has
+                // its own timeout (see send)
+                opened.setTimeout(0);
+                try {
+                    if (parsed.password) {
+                        const password = decodeURIComponent(parsed.password);
+                        const username = parsed.username ? decodeURIComponent(parsed.username) : null;
+                        await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+                    }
+                    if (!Number.isNaN(database)) {
+                        await send(['SELECT', database]);
+                    }
+                    resolve();
+                } catch (error) {
+                    opened.destroy();
+                    reject(error);
+                }
+            });
+        });
+
+        return ready;
+    }
+
+    return {
+        // Run a command, e.g. command(['SET', 'key', 'value', 'PX', 1000])
+        async command(args) {
+            await connect();
+            return send(args);
+        },
+
+        close() {
+            if (socket) socket.end();
+        }
+    };
+}
+
+module.exports = {
+    createRedisClient,
+    encodeCommand,
+    parseReply
+};
@@ -0,0 +1,244 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Content types worth reading as documentation
+const ALLOWED_CONTENT_TYPES = [
+    'text/html',
+    'application/xhtml+xml',
+    'text/plain',
+    'text/markdown',
+    'application/json'
+];
+
+// IPv4 ranges that must never be fetched: "this" network, private,
+// carrier-grade NAT, loopback, link-local (cloud metadata), IETF protocol
+// assignments, benchmarking, multicast and reserved
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+function ipv4ToInt(ip) {
+    return ip.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+}
+
+function inIpv4Range(ip, [base, bits]) {
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (ipv4ToInt(ip) & mask) === (ipv4ToInt(base) & mask);
+}
+
+// Whether an IP address is loopback, private, link-local or otherwise not
+// on the public internet
+function isPrivateAddress(ip) {
+    if (net.isIPv4(ip)) {
+        return BLOCKED_IPV4_RANGES.some(range => inIpv4Range(ip, range));
+    }
+    if (!net.isIPv6(ip)) return true;
+
+    const address = ip.toLowerCase().replace(/^\[|\]$/g, '');
+
+    // IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::10.0.0.1) addresses
+    const embedded = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) return isPrivateAddress(embedded[1]);
+    const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+        const high = parseInt(mappedHex[1], 16);
+        const low = parseInt(mappedHex[2], 16);
+        return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+
+    return address === '::' ||
+        address === '::1' ||
+        /^f[cd]/.test(address) ||        // unique local fc00::/7
+        /^fe[89ab]/.test(address) ||     // link-local fe80::/10
+        /^ff/.test(address);             // multicast
+}
+
+// dns.lookup replacement that refuses to connect to private addresses. It
+// runs for every connection, including redirects, so a hostname can't
+// resolve to a public address when checked and a private one when used.
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            const refusal = new Error(`Refusing to connect to ${hostname}: resolves to private address ${blocked.address}`);
+            refusal.code = 'EPRIVATEADDRESS';
+            return callback(refusal);
+        }
+
+        if (options && options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const safeAgents = {
+    http: new http.Agent({ lookup: safeLookup }),
+    https: new https.Agent({ lookup: safeLookup })
+};
+
+function timeoutError() {
+    return new Error('Timed out fetching the page');
+}
+
+// Read a response stream, giving up once it passes maxBytes or signal
+// aborts (a server can send its headers quickly and then the body slowly)
+function readLimited(stream, maxBytes, signal) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const onAbort = () => {
+            stream.destroy();
+            reject(timeoutError());
+        };
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        stream.on('close', () => signal.removeEventListener('abort', onAbort));
+
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(new Error(`Response larger than ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', error => reject(signal.aborted ? timeoutError() : error));
+    });
+}
+
+// A page fetcher with the same call shape as axios.get, hardened against
+// server-side request forgery:
+//
+// - only http(s) URLs, and never hosts that are, or resolve to, private,
+//   loopback or link-local addresses (checked again on every redirect)
+// - redirects are followed by hand so each hop is checked with
+//   options.isAllowedUrl
+// - only documentation content types are read, up to maxBytes
+//
+// Pass options.allowPrivateNetworks for sources that live on an internal
+// network.
+function createSafeFetcher({ maxBytes = DEFAULT_MAX_BYTES, logger = defaultLogger } = {}) {
+    function check(url, allowPrivateNetworks, isAllowedUrl) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw new Error(`Invalid URL: ${url}`);
+        }
+
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            throw new Error(`Unsupported protocol ${parsed.protocol}`);
+        }
+        if (parsed.username || parsed.password) {
+            throw new Error('URLs with credentials are not fetched');
+        }
+        if (isAllowedUrl && !isAllowedUrl(parsed.toString())) {
+            throw new Error(`${parsed.hostname} is not an allowed documentation domain`);
+        }
+
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (!allowPrivateNetworks && net.isIP(host) && isPrivateAddress(host)) {
+            throw new Error(`Refusing to fetch private address ${host}`);
+        }
+
+        return parsed;
+    }
+
+    // timeout covers the whole fetch: every redirect and reading the body
+    return async function safeFetch(url, { headers = {}, timeout = 5000, allowPrivateNetworks = false, isAllowedUrl } = {}) {
+        const signal = AbortSignal.timeout(timeout);
+        let current = url;
+
+        for (let redirects = 0; ; redirects++) {
+            const parsed = check(current, allowPrivateNetworks, isAllowedUrl);
+
+            let response;
+            try {
+                response = await axios.get(parsed.toString(), {
+                    headers,
+                    timeout,
+                    signal,
+                    responseType: 'stream',
+                    maxRedirects: 0,
+                    validateStatus: () => true,
+                    ...(allowPrivateNetworks ? {} : { httpAgent: safeAgents.http, httpsAgent: safeAgents.https })
+                });
+            } catch (error) {
+                throw signal.aborted ? timeoutError() : error;
+            }
+
+            // Not modified since the cached copy named in the request headers
+            if (response.status === 304) {
+                response.data.destroy();
+                return { status: 304, headers: response.headers, data: '', url: current };
+            }
+
+            if (response.status >= 300 && response.status < 400 && response.headers.location) {
+                response.data.destroy();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error(`Too many redirects fetching ${url}`);
+                }
+                current = new URL(response.headers.location, parsed).toString();
+                logger.debug('Following redirect', { url: current });
+                continue;
+            }
+
+            if (response.status >= 400) {
+                response.data.destroy();
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = { status: response.status };
+                throw error;
+            }
+
+            const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+                response.data.destroy();
+                throw new Error(`Unsupported content type ${contentType || '(none)'}`);
+            }
+
+            const contentLength = parseInt(response.headers['content-length'], 10);
+            if (contentLength > maxBytes) {
+                response.data.destroy();
+                throw new Error(`Response larger than ${maxBytes} bytes`);
+            }
+
+            const text = await readLimited(response.data, maxBytes, signal);
+            let data = text;
+            if (contentType === 'application/json') {
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    // Leave malformed JSON as text
+                }
+            }
+
+            return { status: response.status, headers: response.headers, data, url: current };
+        }
+    };
+}
+
+module.exports = {
+    createSafeFetcher,
+    isPrivateAddress
+};
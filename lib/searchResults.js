@@ -0,0 +1,172 @@
+// Reading MCP search results into { title, link, content } items. Docs
+// servers answer in different shapes: text blocks of "Title:/Link:/Content:"
+// fields (whose content can run over several lines), text blocks holding
+// JSON, embedded resources and resource links, or structuredContent.
+
+// Field names accepted in text results, and the item field each fills
+const FIELD_ALIASES = {
+    title: 'title',
+    link: 'link',
+    url: 'link',
+    content: 'content',
+    summary: 'content',
+    snippet: 'content',
+    description: 'content'
+};
+
+const FIELD_LINE = new RegExp(`^\\s*(${Object.keys(FIELD_ALIASES).join('|')})\\s*:\\s?(.*)$`, 'i');
+
+// Lines like --- separate results (and the text blocks of one reply)
+const SEPARATOR_LINE = /^\s*(-{3,}|={3,})\s*$/;
+
+// Keys under which JSON results keep their list of items
+const LIST_KEYS = ['results', 'items', 'documents', 'data', 'hits'];
+
+function firstString(object, keys) {
+    const key = keys.find(name => typeof object[name] === 'string' && object[name].trim());
+    return key ? object[key].trim() : undefined;
+}
+
+// An item from a JSON object, or null when it has neither title nor link
+function itemFromObject(object) {
+    if (!object || typeof object !== 'object') return null;
+    const link = firstString(object, ['link', 'url', 'uri', 'href']);
+    const title = firstString(object, ['title', 'name']) || link;
+    if (!title) return null;
+    return {
+        title,
+        link,
+        content: firstString(object, ['content', 'summary', 'snippet', 'description', 'text']) || ''
+    };
+}
+
+// Items from parsed JSON: an array of results, or an object with one
+function itemsFromJson(value) {
+    const list = Array.isArray(value)
+        ? value
+        : LIST_KEYS.map(key => value && value[key]).find(Array.isArray);
+    return (list || []).map(itemFromObject).filter(Boolean);
+}
+
+function parseJson(text) {
+    if (!/^\s*[[{]/.test(text)) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Items from one block of "Field: value" lines. Lines that aren't a new
+// field continue the last one, so summaries can span several lines. A
+// title, or a link on an item that already has one, starts the next item.
+function parseFieldLines(block) {
+    const items = [];
+    let current = {};
+    let lastField = null;
+
+    const finish = () => {
+        const title = (current.title || current.link || '').trim();
+        if (title) {
+            items.push({
+                title,
+                link: current.link ? current.link.trim() : undefined,
+                content: (current.content || '').trim()
+            });
+        }
+        current = {};
+        lastField = null;
+    };
+
+    for (const line of block.split('\n')) {
+        const match = line.match(FIELD_LINE);
+        const field = match && FIELD_ALIASES[match[1].toLowerCase()];
+
+        if (field && !(field === 'content' && current.content !== undefined)) {
+            if ((field === 'title' && current.title !== undefined) || (field === 'link' && current.link !== undefined)) {
+                finish();
+            }
+            current[field] = match[2];
+            lastField = field;
+        } else if (lastField) {
+            current[lastField] += `\n${line}`;
+        }
+    }
+    finish();
+
+    return items;
+}
+
+// Parse search results text into { title, link, content } items. Blocks
+// between separator lines may also be JSON (an array of results or an
+// object with a results array).
+function parseSearchResults(searchResults) {
+    const blocks = [];
+    let block = [];
+    for (const line of String(searchResults || '').split('\n')) {
+        if (SEPARATOR_LINE.test(line)) {
+            blocks.push(block.join('\n'));
+            block = [];
+        } else {
+            block.push(line);
+        }
+    }
+    blocks.push(block.join('\n'));
+
+    return blocks.flatMap(text => {
+        const json = parseJson(text);
+        return json ? itemsFromJson(json) : parseFieldLines(text);
+    });
+}
+
+// Write items back as "Title:/Link:/Content:" text, which
+// parseSearchResults reads again
+function formatSearchItems(items) {
+    return items
+        .map(item => [
+            `Title: ${item.title}`,
+            item.link ? `Link: ${item.link}` : null,
+            `Content: ${item.content || ''}`
+        ].filter(line => line !== null).join('\n'))
+        .join('\n\n');
+}
+
+// Items from the content blocks of a tools/call result that aren't text:
+// embedded resources and resource links
+function resourceItems(content) {
+    return content.map(block => {
+        if (block.type === 'resource' && block.resource) {
+            return itemFromObject({ ...block.resource, url: block.resource.uri });
+        }
+        if (block.type === 'resource_link') {
+            return itemFromObject(block);
+        }
+        return null;
+    }).filter(Boolean);
+}
+
+// The text of a tools/call search result, in a form parseSearchResults
+// reads. Text blocks are kept as they are; structuredContent, embedded
+// resources and resource links are written out as result fields. Returns
+// null when the result has none of these.
+function searchResultText(result) {
+    if (!result) return null;
+
+    const structured = result.structuredContent ? itemsFromJson(result.structuredContent) : [];
+    if (structured.length > 0) return formatSearchItems(structured);
+    if (!Array.isArray(result.content)) return null;
+
+    const parts = result.content
+        .filter(block => block.type === 'text' && block.text)
+        .map(block => block.text);
+    const resources = resourceItems(result.content);
+    if (resources.length > 0) parts.push(formatSearchItems(resources));
+
+    return parts.join('\n\n---\n\n');
+}
+
+module.exports = {
+    parseSearchResults,
+    formatSearchItems,
+    searchResultText
+};
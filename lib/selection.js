@@ -0,0 +1,117 @@
+// Structured output for picking the pages to fetch. The analyze stage
+// model refers to search results by id and ranks them, with a relevance
+// score and a reason for each; its reply is constrained by a JSON schema,
+// either through response_format or as the arguments of a forced function
+// call, and checked here before it is used.
+
+// How the schema is sent: 'json_schema' (response_format) or 'tool' (a
+// function call), for models that only support one of them
+const SELECTION_OUTPUTS = ['json_schema', 'tool'];
+
+// Most pages fetched for one question
+const MAX_SELECTED_PAGES = 3;
+
+const SELECTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        selections: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', description: 'The index of the search result' },
+                    relevance: { type: 'number', description: 'How much the page helps answer the question, from 0 to 1' },
+                    reason: { type: 'string', description: 'Why the page is worth fetching, in one short sentence' }
+                },
+                required: ['id', 'relevance', 'reason'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['selections'],
+    additionalProperties: false
+};
+
+const SELECTION_TOOL_NAME = 'select_pages';
+
+// Completion parameters that constrain the reply to the schema
+function selectionParams(output) {
+    if (output === 'tool') {
+        return {
+            tools: [{
+                type: 'function',
+                function: {
+                    name: SELECTION_TOOL_NAME,
+                    description: 'Select the search results whose full pages should be fetched to answer the question.',
+                    parameters: SELECTION_SCHEMA
+                }
+            }],
+            tool_choice: { type: 'function', function: { name: SELECTION_TOOL_NAME } }
+        };
+    }
+    return {
+        response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'page_selection', strict: true, schema: SELECTION_SCHEMA }
+        }
+    };
+}
+
+// The JSON text of a reply: the function call's arguments in 'tool' mode,
+// the message content otherwise
+function selectionReply(message, output) {
+    if (output === 'tool') {
+        const toolCall = (message.tool_calls || []).find(call => call.function && call.function.name === SELECTION_TOOL_NAME);
+        return toolCall ? toolCall.function.arguments || '' : message.content || '';
+    }
+    return message.content || '';
+}
+
+// Check a reply against the schema and the number of search results.
+// Returns { selections } ranked by relevance (at most MAX_SELECTED_PAGES,
+// each id once) or { error } saying what was wrong.
+function parseSelection(text, resultCount) {
+    let reply;
+    try {
+        reply = JSON.parse(String(text).trim());
+    } catch (error) {
+        return { error: 'the reply is not valid JSON' };
+    }
+    if (!reply || typeof reply !== 'object' || !Array.isArray(reply.selections)) {
+        return { error: 'the reply must be an object with a selections array' };
+    }
+
+    const selections = [];
+    for (const [i, item] of reply.selections.entries()) {
+        if (!item || typeof item !== 'object') {
+            return { error: `selections[${i}] must be an object` };
+        }
+        if (!Number.isInteger(item.id) || item.id < 1 || item.id > resultCount) {
+            return { error: `selections[${i}].id must be the index of a search result, from 1 to ${resultCount}` };
+        }
+        if (typeof item.relevance !== 'number' || item.relevance < 0 || item.relevance > 1) {
+            return { error: `selections[${i}].relevance must be a number from 0 to 1` };
+        }
+        if (typeof item.reason !== 'string' || !item.reason.trim()) {
+            return { error: `selections[${i}].reason must be a non-empty string` };
+        }
+        if (!selections.some(selection => selection.id === item.id)) {
+            selections.push({ id: item.id, relevance: item.relevance, reason: item.reason.trim() });
+        }
+    }
+
+    return {
+        selections: selections
+            .sort((a, b) => b.relevance - a.relevance)
+            .slice(0, MAX_SELECTED_PAGES)
+    };
+}
+
+module.exports = {
+    SELECTION_OUTPUTS,
+    MAX_SELECTED_PAGES,
+    SELECTION_SCHEMA,
+    selectionParams,
+    selectionReply,
+    parseSelection
+};
@@ -0,0 +1,90 @@
+const { DEFAULT_SETTINGS } = require('./pipeline');
+const { CHAT_MODES } = require('./chatService');
+const { loadModelConfig } = require('./models');
+const { GROUNDING_POLICIES, GROUNDING_METHODS } = require('./grounding');
+const { INJECTION_POLICIES } = require('./injection');
+const { SELECTION_OUTPUTS } = require('./selection');
+const { QUERY_PLANNING_MODES, loadGlossary } = require('./queryPlanner');
+const { parseApiKeys } = require('./access');
+const { loggerOptionsFromEnv } = require('./logger');
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function readNumber(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function readSeconds(value, fallbackMs) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallbackMs : parsed * 1000;
+}
+
+function readList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Pipeline, cache, conversation, access and monitoring settings from environment
+// variables. Models and generation parameters also come from
+// MODEL_CONFIG_FILE; see loadModelConfig.
+function loadSettings(env = process.env) {
+    const rateLimitPerMinute = readInt(env.RATE_LIMIT_PER_MINUTE, 20);
+
+    return {
+        ...loadModelConfig(env),
+        historyTokenBudget: readInt(env.HISTORY_TOKEN_BUDGET, DEFAULT_SETTINGS.historyTokenBudget),
+        rewriteHistoryTokenBudget: DEFAULT_SETTINGS.rewriteHistoryTokenBudget,
+        defaultMode: CHAT_MODES.includes(env.CHAT_MODE) ? env.CHAT_MODE : DEFAULT_SETTINGS.defaultMode,
+        maxToolRounds: readInt(env.MAX_TOOL_ROUNDS, DEFAULT_SETTINGS.maxToolRounds),
+        pageCharBudget: readInt(env.PAGE_CHAR_BUDGET, DEFAULT_SETTINGS.pageCharBudget),
+        contextWindowTokens: readInt(env.CONTEXT_WINDOW_TOKENS, DEFAULT_SETTINGS.contextWindowTokens),
+        contextTokenBudget: readInt(env.CONTEXT_TOKEN_BUDGET, DEFAULT_SETTINGS.contextTokenBudget),
+        maxPageBytes: readInt(env.MAX_PAGE_BYTES, DEFAULT_SETTINGS.maxPageBytes),
+        requestTimeLimitMs: readSeconds(env.REQUEST_TIME_LIMIT_SECONDS, DEFAULT_SETTINGS.requestTimeLimitMs),
+        answerReserveMs: readSeconds(env.ANSWER_RESERVE_SECONDS, DEFAULT_SETTINGS.answerReserveMs),
+        conversationTtlMs: readInt(env.CONVERSATION_TTL_MINUTES, 30) * 60 * 1000,
+        maxConversations: readInt(env.MAX_CONVERSATIONS, 10000),
+        cacheBackend: ['memory', 'file', 'redis'].includes(env.CACHE_BACKEND) ? env.CACHE_BACKEND : DEFAULT_SETTINGS.cacheBackend,
+        cacheDir: env.CACHE_DIR || '.cache',
+        redisUrl: env.REDIS_URL || 'redis://127.0.0.1:6379',
+        cacheMaxEntries: readInt(env.CACHE_MAX_ENTRIES, DEFAULT_SETTINGS.cacheMaxEntries),
+        searchCacheTtlMs: readSeconds(env.SEARCH_CACHE_TTL_SECONDS, DEFAULT_SETTINGS.searchCacheTtlMs),
+        pageCacheTtlMs: readSeconds(env.PAGE_CACHE_TTL_SECONDS, DEFAULT_SETTINGS.pageCacheTtlMs),
+        answerCacheTtlMs: readSeconds(env.ANSWER_CACHE_TTL_SECONDS, DEFAULT_SETTINGS.answerCacheTtlMs),
+        cacheAdminToken: env.CACHE_ADMIN_TOKEN || null,
+        feedbackAdminToken: env.FEEDBACK_ADMIN_TOKEN || null,
+        localIndexFile: env.LOCAL_INDEX_FILE || null,
+        localIndexMode: ['fallback', 'hybrid', 'off'].includes(env.LOCAL_INDEX_MODE) ? env.LOCAL_INDEX_MODE : DEFAULT_SETTINGS.localIndexMode,
+        localIndexResults: readInt(env.LOCAL_INDEX_RESULTS, DEFAULT_SETTINGS.localIndexResults),
+        groundingPolicy: GROUNDING_POLICIES.includes(env.GROUNDING_POLICY) ? env.GROUNDING_POLICY : DEFAULT_SETTINGS.groundingPolicy,
+        groundingMethod: GROUNDING_METHODS.includes(env.GROUNDING_METHOD) ? env.GROUNDING_METHOD : DEFAULT_SETTINGS.groundingMethod,
+        groundingThreshold: readNumber(env.GROUNDING_THRESHOLD, DEFAULT_SETTINGS.groundingThreshold),
+        injectionPolicy: INJECTION_POLICIES.includes(env.INJECTION_POLICY) ? env.INJECTION_POLICY : DEFAULT_SETTINGS.injectionPolicy,
+        injectionThreshold: readNumber(env.INJECTION_THRESHOLD, DEFAULT_SETTINGS.injectionThreshold),
+        selectionOutput: SELECTION_OUTPUTS.includes(env.SELECTION_OUTPUT) ? env.SELECTION_OUTPUT : DEFAULT_SETTINGS.selectionOutput,
+        queryPlanning: QUERY_PLANNING_MODES.includes(env.QUERY_PLANNING) ? env.QUERY_PLANNING : DEFAULT_SETTINGS.queryPlanning,
+        maxSearchQueries: readInt(env.MAX_SEARCH_QUERIES, DEFAULT_SETTINGS.maxSearchQueries),
+        glossary: loadGlossary(env),
+        apiKeys: parseApiKeys(env.API_KEYS),
+        widgetTokenSecret: env.WIDGET_TOKEN_SECRET || null,
+        corsOrigins: env.CORS_ORIGINS ? readList(env.CORS_ORIGINS) : ['*'],
+        rateLimitPerMinute,
+        rateLimitBurst: readInt(env.RATE_LIMIT_BURST, rateLimitPerMinute),
+        ipRateLimitPerMinute: readInt(env.IP_RATE_LIMIT_PER_MINUTE, 60),
+        dailyTokenQuota: readInt(env.DAILY_TOKEN_QUOTA, 0),
+        trustProxy: readInt(env.TRUST_PROXY, 0),
+        logging: loggerOptionsFromEnv(env),
+        otelEndpoint: env.OTEL_EXPORTER_OTLP_ENDPOINT || null,
+        otelServiceName: env.OTEL_SERVICE_NAME || 'chat-docs-backend',
+        metricsToken: env.METRICS_TOKEN || null,
+        transcriptsFile: env.TRANSCRIPTS_FILE || null,
+        healthCacheMs: readSeconds(env.HEALTH_CACHE_SECONDS, 15000)
+    };
+}
+
+module.exports = {
+    loadSettings
+};
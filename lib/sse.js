@@ -0,0 +1,100 @@
+// Incremental parser for text/event-stream bodies, following the WHATWG
+// event stream rules: lines end in CRLF, LF or CR, `data:` lines are joined
+// with newlines, lines starting with `:` are comments and an event is
+// dispatched at each blank line. Chunks may split lines (or a CRLF) anywhere.
+//
+// onEvent receives { type, data, id, retry } for every dispatched event.
+function createSSEParser(onEvent) {
+    let buffer = '';
+    let started = false;
+    let dataLines = [];
+    let eventType = '';
+    let lastEventId = '';
+    let retry = null;
+
+    function dispatch() {
+        if (dataLines.length > 0) {
+            onEvent({
+                type: eventType || 'message',
+                data: dataLines.join('\n'),
+                id: lastEventId,
+                retry
+            });
+        }
+        dataLines = [];
+        eventType = '';
+        retry = null;
+    }
+
+    function processLine(line) {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.substring(0, colon);
+        let value = colon === -1 ? '' : line.substring(colon + 1);
+        if (value.startsWith(' ')) value = value.substring(1);
+
+        if (field === 'data') {
+            dataLines.push(value);
+        } else if (field === 'event') {
+            eventType = value;
+        } else if (field === 'id') {
+            if (!value.includes('\0')) lastEventId = value;
+        } else if (field === 'retry') {
+            if (/^\d+$/.test(value)) retry = parseInt(value, 10);
+        }
+    }
+
+    function processBuffer(final) {
+        const lineBreak = /\r\n|\r|\n/g;
+        let start = 0;
+        let match;
+
+        while ((match = lineBreak.exec(buffer)) !== null) {
+            // A CR at the very end may be the first half of a CRLF split
+            // across chunks, so wait for the next chunk to decide
+            if (!final && match[0] === '\r' && match.index === buffer.length - 1) break;
+            processLine(buffer.substring(start, match.index));
+            start = match.index + match[0].length;
+        }
+
+        buffer = buffer.substring(start);
+    }
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            if (!started && buffer.length > 0) {
+                started = true;
+                if (buffer.charCodeAt(0) === 0xFEFF) buffer = buffer.substring(1);
+            }
+            processBuffer(false);
+        },
+
+        // Per the spec an event that isn't terminated by a blank line before
+        // the stream ends is discarded
+        end() {
+            processBuffer(true);
+            buffer = '';
+            dataLines = [];
+        }
+    };
+}
+
+// Parse a complete event stream body into an array of events
+function parseEventStream(text) {
+    const events = [];
+    const parser = createSSEParser(event => events.push(event));
+    parser.push(text || '');
+    parser.end();
+    return events;
+}
+
+module.exports = {
+    createSSEParser,
+    parseEventStream
+};
@@ -0,0 +1,60 @@
+const { DEFAULT_MODEL } = require('./models');
+
+// Local token counting with the vocabularies of the model families Cerebras
+// serves, without a round trip to the API. A model is matched to its
+// family by name; models of other families are counted with the default
+// model's tokenizer. Each tokenizer is loaded the first time it is needed,
+// as the vocabularies take a second or so to read.
+const TOKENIZER_FAMILIES = [
+    { family: 'qwen3', matches: /qwen/i, load: () => fromTransformers(require('@lenml/tokenizer-qwen3')) },
+    { family: 'llama3', matches: /llama/i, load: () => fromTransformers(require('@lenml/tokenizer-llama3')) },
+    { family: 'o200k', matches: /gpt-oss/i, load: () => require('gpt-tokenizer/encoding/o200k_harmony') }
+];
+
+const loaded = new Map();
+
+// A Hugging Face tokenizer package as { encode, decode } over plain text,
+// without the special tokens a chat template adds
+function fromTransformers(pkg) {
+    const tokenizer = pkg.fromPreTrained();
+    return {
+        encode: text => tokenizer.encode(text, { add_special_tokens: false }),
+        decode: ids => tokenizer.decode(ids, { skip_special_tokens: true })
+    };
+}
+
+function familyOf(model) {
+    const name = model || DEFAULT_MODEL;
+    return TOKENIZER_FAMILIES.find(entry => entry.matches.test(name)) ||
+        TOKENIZER_FAMILIES.find(entry => entry.matches.test(DEFAULT_MODEL));
+}
+
+// The tokenizer for model (default: DEFAULT_MODEL)
+function tokenizerFor(model) {
+    const { family, load } = familyOf(model);
+    if (!loaded.has(family)) loaded.set(family, load());
+    return loaded.get(family);
+}
+
+// Number of tokens in text for model
+function countTokens(text, model) {
+    const value = String(text || '');
+    return value ? tokenizerFor(model).encode(value).length : 0;
+}
+
+// The longest start of text that fits in maxTokens for model, cut between
+// tokens (and never inside a character)
+function truncateToTokens(text, maxTokens, model) {
+    const value = String(text || '');
+    const tokenizer = tokenizerFor(model);
+    const ids = tokenizer.encode(value);
+    if (ids.length <= maxTokens) return value;
+    if (maxTokens <= 0) return '';
+
+    return tokenizer.decode(ids.slice(0, maxTokens)).replace(/\uFFFD+$/, '').trimEnd();
+}
+
+module.exports = {
+    countTokens,
+    truncateToTokens
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultLogger } = require('./logger');
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_REASON_CHARS = 1000;
+const MAX_CORRECTION_CHARS = 5000;
+
+// Check a POST /feedback body. Returns { feedback } or { error }.
+function parseFeedback(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Request body must be a JSON object' };
+    }
+    const { answerId, rating, reason = null, correction = null } = body;
+
+    if (typeof answerId !== 'string' || !answerId) {
+        return { error: 'answerId is required' };
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` };
+    }
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_CHARS)) {
+        return { error: `reason must be a string of at most ${MAX_REASON_CHARS} characters` };
+    }
+    if (correction !== null && (typeof correction !== 'string' || correction.length > MAX_CORRECTION_CHARS)) {
+        return { error: `correction must be a string of at most ${MAX_CORRECTION_CHARS} characters` };
+    }
+
+    return { feedback: { answerId, rating, reason: reason || null, correction: correction || null } };
+}
+
+// Group store records into answers, each with the feedback given on it
+// (oldest first). Feedback on answers that aren't in the records is dropped.
+function joinTranscripts(records) {
+    const answers = new Map();
+    for (const record of records) {
+        if (record.type === 'answer') {
+            answers.set(record.answerId, { ...record, feedback: [] });
+        } else if (record.type === 'feedback' && answers.has(record.answerId)) {
+            const { type, answerId, ...feedback } = record;
+            answers.get(answerId).feedback.push(feedback);
+        }
+    }
+    return [...answers.values()].map(({ type, ...answer }) => answer);
+}
+
+// The records in the text of a transcripts file, skipping broken lines
+function parseTranscriptRecords(text) {
+    return text
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Read a transcripts file written by the store
+function readTranscriptRecords(file) {
+    return parseTranscriptRecords(fs.readFileSync(file, 'utf8'));
+}
+
+// Keep the exported answers asked for: rating (latest feedback has that
+// rating), noDocs (given without any docs context) and since (a date).
+// Returns { answers } or { error }.
+function filterTranscripts(answers, { rating, noDocs = false, since } = {}) {
+    let kept = answers;
+    if (rating) {
+        if (!FEEDBACK_RATINGS.includes(rating)) {
+            return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` };
+        }
+        kept = kept.filter(answer => answer.feedback.length > 0 &&
+            answer.feedback[answer.feedback.length - 1].rating === rating);
+    }
+    if (noDocs) {
+        kept = kept.filter(answer => !answer.contextDigest);
+    }
+    if (since) {
+        const date = new Date(since);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `Invalid date: ${since}` };
+        }
+        kept = kept.filter(answer => answer.time >= date.toISOString());
+    }
+    return { answers: kept };
+}
+
+const CSV_COLUMNS = ['time', 'answerId', 'rating', 'reason', 'correction', 'question', 'searchQuery', 'selectedUrls', 'answer', 'contextDigest', 'grounding'];
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(answer) {
+    const latest = answer.feedback[answer.feedback.length - 1] || {};
+    const row = {
+        ...answer,
+        rating: latest.rating,
+        reason: latest.reason,
+        correction: latest.correction,
+        selectedUrls: (answer.selectedUrls || []).join(' '),
+        grounding: answer.grounding ? answer.grounding.action : null
+    };
+    return CSV_COLUMNS.map(column => csvField(row[column])).join(',');
+}
+
+// Exported answers as CSV with a header row, one answer per line with its
+// latest feedback
+function transcriptsToCsv(answers) {
+    return [CSV_COLUMNS.join(','), ...answers.map(csvRow)].map(line => `${line}\n`).join('');
+}
+
+// Store of answered questions and the feedback users give on them. Each
+// answer record holds what's needed to see why an answer went wrong (the
+// question, selected URLs, a digest of the docs context and the answer);
+// feedback records point at an answer by its answerId.
+//
+// With a file, records are appended to it as JSON lines so they survive
+// restarts and can be exported with `npm run export-feedback`. Without
+// one they are kept in memory only. Either way export() (served as GET
+// /admin/feedback) returns them. Either way feedback is accepted for
+// the last maxAnswers answers.
+function createTranscriptStore({ file = null, maxAnswers = 10000, logger = defaultLogger } = {}) {
+    // answerId -> the answer's records when kept in memory, or true when
+    // they are in the file
+    const recent = new Map();
+    let writing = Promise.resolve();
+
+    function remember(answerId, value) {
+        recent.set(answerId, value);
+        while (recent.size > maxAnswers) {
+            recent.delete(recent.keys().next().value);
+        }
+    }
+
+    if (file && fs.existsSync(file)) {
+        for (const record of readTranscriptRecords(file)) {
+            if (record.type === 'answer') remember(record.answerId, true);
+        }
+    }
+
+    // Appends are chained so records land in the file in order
+    function append(record) {
+        writing = writing
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+                await fs.promises.appendFile(file, `${JSON.stringify(record)}\n`);
+            })
+            .catch(error => logger.error('Could not write transcript', { file, error }));
+    }
+
+    return {
+        file,
+
+        recordAnswer(answer) {
+            const record = { type: 'answer', time: new Date().toISOString(), ...answer };
+            if (file) {
+                remember(answer.answerId, true);
+                append(record);
+            } else {
+                remember(answer.answerId, [record]);
+            }
+        },
+
+        // Returns false if the answer is unknown (or too old)
+        recordFeedback(feedback) {
+            const known = recent.get(feedback.answerId);
+            if (!known) return false;
+
+            const record = { type: 'feedback', time: new Date().toISOString(), ...feedback };
+            if (file) {
+                append(record);
+            } else {
+                known.push(record);
+            }
+            return true;
+        },
+
+        // Every stored answer with its feedback
+        async export() {
+            if (!file) return joinTranscripts([...recent.values()].flat());
+
+            await writing;
+            let text;
+            try {
+                text = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                // Nothing has been recorded yet
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            return joinTranscripts(parseTranscriptRecords(text));
+        }
+    };
+}
+
+module.exports = {
+    FEEDBACK_RATINGS,
+    parseFeedback,
+    joinTranscripts,
+    readTranscriptRecords,
+    filterTranscripts,
+    transcriptsToCsv,
+    createTranscriptStore
+};
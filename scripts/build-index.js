@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Build the local docs index used when the MCP servers can't be reached.
+//
+//   npm run build-index -- --sitemap https://training-docs.cerebras.ai/sitemap.xml --source training
+//   npm run build-index -- --dir ./docs-snapshot --base-url https://training-docs.cerebras.ai --source training
+//
+// --dir and --sitemap can be repeated and combined. The index is written to
+// --out, or LOCAL_INDEX_FILE, or data/docs-index.json.
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { loadDirectory, crawlSitemap } = require('../lib/ingest');
+const { chunkDocument, buildIndex, saveIndex } = require('../lib/localIndex');
+const { createSafeFetcher } = require('../lib/safeFetch');
+const { createLogger } = require('../lib/logger');
+
+const USAGE = `Usage: build-index [--dir <path>]... [--sitemap <url>]... [options]
+
+  --dir <path>        directory of Markdown/HTML files
+  --base-url <url>    site URL the --dir files are served under
+  --sitemap <url>     sitemap.xml (or sitemap index) to crawl
+  --max-pages <n>     most pages to crawl per sitemap (default 500)
+  --allow-private     allow crawling docs on private networks
+  --source <id>       doc source id to tag the chunks with
+  --chunk-chars <n>   longest chunk in characters (default 1500)
+  --out <file>        where to write the index`;
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            'dir': { type: 'string', multiple: true },
+            'base-url': { type: 'string' },
+            'sitemap': { type: 'string', multiple: true },
+            'max-pages': { type: 'string' },
+            'allow-private': { type: 'boolean' },
+            'source': { type: 'string' },
+            'chunk-chars': { type: 'string' },
+            'out': { type: 'string' },
+            'help': { type: 'boolean' }
+        }
+    });
+
+    if (values.help || (!values.dir && !values.sitemap)) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const sourceId = values.source || null;
+    const documents = [];
+
+    for (const dir of values.dir || []) {
+        const loaded = loadDirectory(dir, { baseUrl: values['base-url'], sourceId });
+        console.log(`Loaded ${loaded.length} files from ${dir}`);
+        documents.push(...loaded);
+    }
+
+    // Progress is logged as readable lines rather than JSON
+    const logger = createLogger({ format: 'pretty', redact: false });
+    const safeFetch = createSafeFetcher({ logger });
+    const fetcher = (url, options) => safeFetch(url, { ...options, allowPrivateNetworks: Boolean(values['allow-private']) });
+    for (const sitemap of values.sitemap || []) {
+        const crawled = await crawlSitemap(sitemap, {
+            fetcher,
+            maxPages: parseInt(values['max-pages'], 10) || 500,
+            sourceId,
+            logger
+        });
+        console.log(`Crawled ${crawled.length} pages from ${sitemap}`);
+        documents.push(...crawled);
+    }
+
+    const maxChars = parseInt(values['chunk-chars'], 10) || undefined;
+    const chunks = documents.flatMap(document => chunkDocument(document, { maxChars }));
+    const out = values.out || process.env.LOCAL_INDEX_FILE || 'data/docs-index.json';
+
+    saveIndex(out, buildIndex(chunks));
+    console.log(`Wrote ${chunks.length} chunks from ${documents.length} documents to ${out}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Export answers and the feedback on them from TRANSCRIPTS_FILE, e.g. the
+// answers users rated down, as a queue for docs writers:
+//
+//   npm run export-feedback -- --rating down --format csv > bad-answers.csv
+//   npm run export-feedback -- --no-docs
+const fs = require('fs');
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { readTranscriptRecords, joinTranscripts, filterTranscripts, transcriptsToCsv } = require('../lib/transcripts');
+
+const USAGE = `Usage: export-feedback [options]
+
+  --file <path>        transcripts file (default TRANSCRIPTS_FILE)
+  --rating <up|down>   only answers whose latest feedback has this rating
+  --no-docs            only answers given without any docs context
+  --since <date>       only answers from this date on (e.g. 2026-10-01)
+  --format <fmt>       jsonl (default) or csv`;
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            'file': { type: 'string' },
+            'rating': { type: 'string' },
+            'no-docs': { type: 'boolean' },
+            'since': { type: 'string' },
+            'format': { type: 'string' },
+            'help': { type: 'boolean' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const file = values.file || process.env.TRANSCRIPTS_FILE;
+    if (!file) {
+        console.error('No transcripts file: set TRANSCRIPTS_FILE (or pass --file). Without it the server keeps');
+        console.error('answers in memory only; export those with GET /admin/feedback instead.');
+        console.error(`\n${USAGE}`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(file)) {
+        console.error(`Transcripts file ${file} not found. The server creates it with the first answer it`);
+        console.error('records; check TRANSCRIPTS_FILE (or --file) points at the same path as the server\'s.');
+        process.exit(1);
+    }
+
+    const { answers, error } = filterTranscripts(joinTranscripts(readTranscriptRecords(file)), {
+        rating: values.rating,
+        noDocs: values['no-docs'],
+        since: values.since
+    });
+    if (error) {
+        console.error(error);
+        process.exit(1);
+    }
+
+    if (values.format === 'csv') {
+        process.stdout.write(transcriptsToCsv(answers));
+    } else {
+        answers.forEach(answer => console.log(JSON.stringify(answer)));
+    }
+}
+
+main();
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Issue a widget token for a site embedding the chat widget, signed with
+// WIDGET_TOKEN_SECRET.
+//
+//   npm run sign-token -- --sub docs-site --origin https://docs.example.com --ttl 86400
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { signWidgetToken } = require('../lib/access');
+
+const USAGE = `Usage: sign-token --sub <client> [options]
+
+  --sub <client>      who the token is for; rate limits and quotas count per client
+  --origin <url>      site the token may be used from (repeatable; default any)
+  --ttl <seconds>     how long the token is valid (default 3600)`;
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            'sub': { type: 'string' },
+            'origin': { type: 'string', multiple: true },
+            'ttl': { type: 'string' },
+            'help': { type: 'boolean' }
+        }
+    });
+
+    if (values.help || !values.sub) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const secret = process.env.WIDGET_TOKEN_SECRET;
+    if (!secret) {
+        console.error('WIDGET_TOKEN_SECRET is not set');
+        process.exit(1);
+    }
+
+    console.log(signWidgetToken({
+        sub: values.sub,
+        ttlSeconds: parseInt(values.ttl, 10) || 3600,
+        origins: values.origin
+    }, secret));
+}
+
+main();
@@ -1,359 +1,240 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const Cerebras = require('@cerebras/cerebras_cloud_sdk').default;
 require('dotenv').config();
+const { createChatBackend, formatEvent, openAIError, requestIdFrom, filterTranscripts, transcriptsToCsv } = require('./lib');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Cerebras client
-const cerebrasClient = new Cerebras({
-    apiKey: process.env.CEREBRAS_API_KEY
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// MCP server URL for Cerebras training docs
-const MCP_SERVER_URL = 'https://training-docs.cerebras.ai/mcp';
-
-// Helper function to parse SSE responses
-function parseSSEResponse(sseData) {
-    if (!sseData || typeof sseData !== 'string') return null;
-    
-    // Extract JSON from SSE format
-    const lines = sseData.split('\n');
-    for (const line of lines) {
-        if (line.startsWith('data: ')) {
-            try {
-                return JSON.parse(line.substring(6));
-            } catch (e) {
-                console.error('Failed to parse SSE data:', e);
-            }
-        }
-    }
-    return null;
+// Clients opt into streaming with ?stream=1 or Accept: text/event-stream
+function wantsEventStream(req) {
+    return req.query.stream === '1' || req.query.stream === 'true' ||
+        (req.get('Accept') || '').includes('text/event-stream');
 }
 
-// Function to connect to MCP server and search docs
-async function searchCerebrasDocs(query) {
-    try {
-        console.log('Attempting to connect to MCP server at:', MCP_SERVER_URL);
-        
-        // First, we need to initialize the MCP connection
-        const initResponse = await axios.post(MCP_SERVER_URL, {
-            jsonrpc: '2.0',
-            method: 'initialize',
-            params: {
-                protocolVersion: '2024-11-05',
-                capabilities: {},
-                clientInfo: {
-                    name: 'cerebras-docs-chatbot',
-                    version: '1.0.0'
-                }
-            },
-            id: 1
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json, text/event-stream'
-            }
-        });
-        
-        // Parse SSE response
-        const initData = parseSSEResponse(initResponse.data);
-        console.log('MCP init response:', JSON.stringify(initData, null, 2));
-        
-        // List available tools
-        const toolsResponse = await axios.post(MCP_SERVER_URL, {
-            jsonrpc: '2.0',
-            method: 'tools/list',
-            params: {},
-            id: 2
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json, text/event-stream'
-            }
-        });
-        
-        // Parse SSE response for tools
-        const toolsData = parseSSEResponse(toolsResponse.data);
-        console.log('Available MCP tools:', JSON.stringify(toolsData, null, 2));
-        
-        // Now call the search tool
-        const searchResponse = await axios.post(MCP_SERVER_URL, {
-            jsonrpc: '2.0',
-            method: 'tools/call',
-            params: {
-                name: 'search',
-                arguments: {
-                    query: query
-                }
-            },
-            id: 3
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json, text/event-stream'
-            }
-        });
-
-        // Parse SSE response for search
-        const searchData = parseSSEResponse(searchResponse.data);
-        console.log('MCP search response:', JSON.stringify(searchData, null, 2));
-        
-        if (searchData && searchData.result && searchData.result.content) {
-            // Extract all text content from the search results
-            const contents = searchData.result.content;
-            if (Array.isArray(contents)) {
-                const textContent = contents
-                    .filter(item => item.type === 'text' && item.text)
-                    .map(item => item.text)
-                    .join('\n\n---\n\n');
-                
-                console.log('Extracted text content length:', textContent.length);
-                return textContent;
-            }
+// Admin requests must send `Authorization: Bearer <token>`. Without a
+// configured token the admin endpoints are off.
+function requireAdminToken(token) {
+    const expected = token ? Buffer.from(`Bearer ${token}`) : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return res.status(404).json({ error: 'Not found' });
         }
-        
-        return "No relevant documentation found for your query.";
-    } catch (error) {
-        console.error('Error searching docs via MCP:', error.message);
-        if (error.response) {
-            console.error('MCP error response status:', error.response.status);
-            console.error('MCP error response data:', JSON.stringify(error.response.data, null, 2));
+
+        const given = Buffer.from(req.get('Authorization') || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({ error: 'Invalid admin token' });
         }
-        
-        // Return null to indicate MCP failed
-        return null;
-    }
+        next();
+    };
 }
 
-// Function to analyze search results and pick relevant URLs
-async function analyzeSearchResults(userQuery, searchResults) {
-    try {
-        // Parse the search results to extract URLs
-        const searchItems = [];
-        const lines = searchResults.split('\n');
-        let currentItem = {};
-        
-        for (const line of lines) {
-            if (line.startsWith('Title:')) {
-                if (currentItem.title) searchItems.push(currentItem);
-                currentItem = { title: line.substring(6).trim() };
-            } else if (line.startsWith('Link:')) {
-                currentItem.link = line.substring(5).trim();
-            } else if (line.startsWith('Content:')) {
-                currentItem.content = line.substring(8).trim();
+// Check the caller's origin, credentials, rate limits and quota (see
+// lib/access.js) and remember who they are as req.client. Rejections are
+// counted in metrics and their message is sent as formatError(message).
+function requireAccess(access, metrics, formatError = error => ({ error })) {
+    return (req, res, next) => {
+        const result = access.check({ headers: req.headers, ip: req.ip });
+        if (result.error) {
+            metrics.recordRejection(result.statusCode);
+            if (result.retryAfterSeconds) {
+                res.set('Retry-After', String(result.retryAfterSeconds));
             }
+            return res.status(result.statusCode).json(formatError(result.error));
         }
-        if (currentItem.title) searchItems.push(currentItem);
-        
-        console.log(`Found ${searchItems.length} search results`);
-        
-        // Ask LLM to analyze which pages are most relevant
-        const analysisPrompt = `Based on the user's question and the search results below, identify which documentation pages would be most relevant to fetch in full. Return ONLY a JSON array of URLs (maximum 3) that would best help answer the question.
-
-User Question: "${userQuery}"
-
-Search Results:
-${searchItems.map((item, i) => `
-${i + 1}. Title: ${item.title}
-   URL: ${item.link}
-   Summary: ${item.content}
-`).join('\n')}
-
-Return ONLY a JSON array of URLs, like: ["url1", "url2"]
-If none are relevant enough to fetch, return: []`;
-
-        const analysisResponse = await cerebrasClient.chat.completions.create({
-            model: 'qwen-3-235b-a22b-instruct-2507',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a helpful assistant that analyzes search results. Return only valid JSON arrays.'
-                },
-                {
-                    role: 'user',
-                    content: analysisPrompt
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 200
-        });
-        
-        const urlsText = analysisResponse.choices[0].message.content.trim();
-        console.log('LLM selected URLs:', urlsText);
-        
-        try {
-            // Extract JSON array from the response
-            const jsonMatch = urlsText.match(/\[.*\]/s);
-            if (jsonMatch) {
-                const urls = JSON.parse(jsonMatch[0]);
-                return Array.isArray(urls) ? urls.slice(0, 3) : [];
-            }
-        } catch (e) {
-            console.error('Failed to parse URL selection:', e);
-        }
-        
-        return [];
-    } catch (error) {
-        console.error('Error analyzing search results:', error);
-        return [];
-    }
+
+        req.client = result.client;
+        next();
+    };
 }
 
-// Function to fetch full content from URLs
-async function fetchFullContent(urls) {
-    try {
-        const contents = [];
-        
-        for (const url of urls) {
-            try {
-                console.log('Fetching:', url);
-                const response = await axios.get(url, {
-                    headers: {
-                        'Accept': 'text/html,application/json',
-                        'User-Agent': 'Cerebras-Docs-Chatbot/1.0'
-                    },
-                    timeout: 5000
-                });
-                
-                if (response.data) {
-                    // Extract text content from HTML
-                    let content = typeof response.data === 'string' 
-                        ? response.data.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ')
-                        : JSON.stringify(response.data);
-                    
-                    // Limit content length per page
-                    content = content.substring(0, 10000);
-                    
-                    contents.push(`\n\n=== Content from ${url} ===\n${content}\n`);
+// Build the Express app around a chat backend (see lib/index.js)
+function createApp(backend = createChatBackend()) {
+    const { chatService, completions, caches, transcripts, settings, access, metrics, health, logger } = backend;
+    const requireCacheAdmin = requireAdminToken(settings.cacheAdminToken);
+    const requireFeedbackAdmin = requireAdminToken(settings.feedbackAdminToken);
+    const requireMetricsToken = settings.metricsToken ? requireAdminToken(settings.metricsToken) : (req, res, next) => next();
+    const app = express();
+
+    // Client IPs for rate limits come from X-Forwarded-For when behind
+    // TRUST_PROXY proxies
+    app.set('trust proxy', settings.trustProxy);
+
+    // Middleware
+    app.use(cors({
+        origin: access.corsOrigins.includes('*') ? '*' : access.corsOrigins,
+        exposedHeaders: ['Retry-After', 'X-Request-Id']
+    }));
+    app.use(express.json());
+
+    // Every response carries the request's id (the caller's X-Request-Id if
+    // it sent a usable one), which is also on every log line for it
+    app.use((req, res, next) => {
+        req.id = requestIdFrom(req.headers);
+        res.set('X-Request-Id', req.id);
+        next();
+    });
+
+    // Chat endpoint
+    app.post('/chat', requireAccess(access, metrics), async function(req, res) {
+        const request = chatService.prepare(req.body, { client: req.client, requestId: req.id });
+
+        if (request.error) {
+            metrics.recordRejection(400);
+            return res.status(400).json({ error: request.error });
+        }
+
+        if (wantsEventStream(req)) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            await chatService.stream(request, (event, data) => {
+                if (!res.writableEnded && !res.destroyed) {
+                    res.write(formatEvent(event, data));
                 }
-            } catch (fetchError) {
-                console.error(`Failed to fetch ${url}:`, fetchError.message);
-            }
+            });
+            return res.end();
         }
-        
-        return contents.length > 0 ? contents.join('\n---\n') : null;
-    } catch (error) {
-        console.error('Error fetching full content:', error);
-        return null;
-    }
-}
 
-// Function to call Cerebras API
-async function getCerebrasResponse(message, context) {
-    try {
-        let systemPrompt = `You are a helpful assistant that answers questions about the Cerebras Platform.`;
-        
-        if (context && context !== null) {
-            systemPrompt += `\n\nUse the following context from the official Cerebras documentation to answer the user's question accurately:\n\n${context}\n\nBase your answer primarily on this documentation.`;
-        } else {
-            systemPrompt += `\n\nNote: I couldn't access the MCP server at this moment. Please inform the user that the documentation server is unavailable and you cannot provide specific information from the docs.`;
+        const { statusCode, body } = await chatService.respond(request);
+        res.status(statusCode).json(body);
+    });
+
+    // OpenAI-compatible chat completions, streamed when the body has
+    // `stream: true` (see lib/openaiCompat.js)
+    app.post('/v1/chat/completions', requireAccess(access, metrics, openAIError), async (req, res) => {
+        const request = completions.prepare(req.body, { client: req.client, requestId: req.id });
+
+        if (request.error) {
+            metrics.recordRejection(400);
+            return res.status(400).json(openAIError(request.error));
         }
-        
-        const chatCompletion = await cerebrasClient.chat.completions.create({
-            model: 'qwen-3-235b-a22b-instruct-2507',
-            messages: [
-                {
-                    role: 'system',
-                    content: systemPrompt
-                },
-                {
-                    role: 'user',
-                    content: message
+
+        if (request.stream) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            await completions.stream(request, (text) => {
+                if (!res.writableEnded && !res.destroyed) {
+                    res.write(text);
                 }
-            ],
-            temperature: 0.7,
-            max_tokens: 1000
-        });
+            });
+            return res.end();
+        }
+
+        const { statusCode, body } = await completions.respond(request);
+        res.status(statusCode).json(body);
+    });
+
+    // The models /v1/chat/completions accepts
+    app.get('/v1/models', requireAccess(access, metrics, openAIError), (req, res) => {
+        res.json(completions.models());
+    });
+
+    // Thumbs up/down on an answer, by the answerId /chat returned with it
+    app.post('/feedback', requireAccess(access, metrics), (req, res) => {
+        const { statusCode, body } = chatService.feedback(req.body, { client: req.client });
+        res.status(statusCode).json(body);
+    });
+
+    // Answers with their feedback, as JSON Lines (or CSV with ?format=csv),
+    // filtered like `npm run export-feedback` with ?rating=down, ?noDocs=1
+    // and ?since=<date>. This is the only way to export answers kept in
+    // memory, without TRANSCRIPTS_FILE.
+    app.get('/admin/feedback', requireFeedbackAdmin, async (req, res) => {
+        try {
+            const { answers, error } = filterTranscripts(await transcripts.export(), {
+                rating: req.query.rating,
+                noDocs: req.query.noDocs === '1' || req.query.noDocs === 'true',
+                since: req.query.since
+            });
+            if (error) {
+                return res.status(400).json({ error });
+            }
 
-        if (chatCompletion.choices && chatCompletion.choices[0]) {
-            return chatCompletion.choices[0].message.content;
+            if (req.query.format === 'csv') {
+                return res.type('text/csv').send(transcriptsToCsv(answers));
+            }
+            res.type('application/x-ndjson').send(answers.map(answer => `${JSON.stringify(answer)}\n`).join(''));
+        } catch (error) {
+            logger.error('Error exporting feedback', { error });
+            res.status(500).json({ error: 'Failed to export feedback' });
         }
-        
-        throw new Error('Invalid response from Cerebras API');
-    } catch (error) {
-        console.error('Error calling Cerebras API:', error);
-        if (error.response) {
-            console.error('Response data:', error.response.data);
+    });
+
+    // Cache hit/miss counters
+    app.get('/admin/cache', requireCacheAdmin, (req, res) => {
+        res.json(caches.stats());
+    });
+
+    // Purge every cache, or one of search, pages and answers
+    app.delete('/admin/cache/:name?', requireCacheAdmin, async (req, res) => {
+        try {
+            const purged = await caches.purge(req.params.name);
+            if (!purged) {
+                return res.status(404).json({ error: `Unknown cache: ${req.params.name}` });
+            }
+            res.json({ purged });
+        } catch (error) {
+            logger.error('Error purging cache', { error });
+            res.status(500).json({ error: 'Failed to purge cache' });
         }
-        throw error;
-    }
+    });
+
+    // Prometheus metrics, behind METRICS_TOKEN if one is set
+    app.get('/metrics', requireMetricsToken, (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    // Readiness: whether the MCP servers and the LLM API answer. 503 when
+    // no answer can be given (see lib/health.js).
+    app.get('/health', async (req, res) => {
+        const report = await health.check();
+        res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+    });
+
+    // Liveness: the process is up
+    app.get('/health/live', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    return app;
 }
 
-// Chat endpoint
-app.post('/chat', async function(req, res) {
-    try {
-        const { message } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
-        }
+// Start server once the configured models are known to exist. If the
+// model list can't be fetched the server starts anyway.
+async function start() {
+    const backend = createChatBackend();
+    const { logger } = backend;
 
-        // Step 1: Search the docs first via MCP
-        console.log('Step 1: Searching docs for:', message);
-        const searchResults = await searchCerebrasDocs(message);
-        
-        if (!searchResults) {
-            console.log('No search results found');
-            const response = await getCerebrasResponse(message, null);
-            return res.json({ response });
-        }
-        
-        // Step 2: Ask LLM to analyze search results and pick relevant pages
-        console.log('Step 2: Analyzing search results to find most relevant pages...');
-        const relevantUrls = await analyzeSearchResults(message, searchResults);
-        
-        // Step 3: Fetch full content from selected pages
-        let fullContext = searchResults; // Default to search summaries
-        if (relevantUrls && relevantUrls.length > 0) {
-            console.log('Step 3: Fetching full content from:', relevantUrls);
-            const fullContent = await fetchFullContent(relevantUrls);
-            if (fullContent) {
-                fullContext = fullContent;
-            }
+    try {
+        const unknownModels = await backend.checkModels();
+        if (unknownModels.length > 0) {
+            logger.error('Unknown models in the model configuration', { models: unknownModels });
+            process.exit(1);
         }
-        
-        // Step 4: Get final response from Cerebras using the context
-        console.log('Step 4: Getting final Cerebras response...');
-        console.log('Context length:', fullContext.length, 'characters');
-        const response = await getCerebrasResponse(message, fullContext);
-        
-        res.json({ response });
-        
     } catch (error) {
-        console.error('Error in chat endpoint:', error);
-        console.error('Full error details:', JSON.stringify(error, null, 2));
-        
-        let errorMessage = 'I apologize, but I encountered an error. ';
-        
-        if (error.message && error.message.includes('401')) {
-            errorMessage += 'Please check that your Cerebras API key is valid.';
-        } else if (error.message && error.message.includes('model')) {
-            errorMessage += 'There might be an issue with the model selection.';
-        } else {
-            errorMessage += 'Please try again later or check the server logs for more details.';
-        }
-        
-        res.status(500).json({ 
-            error: 'Failed to process request',
-            response: errorMessage
-        });
+        logger.warn('Could not check the configured models', { error });
     }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
-});
-
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log('Make sure to set your CEREBRAS_API_KEY in the .env file');
-});
\ No newline at end of file
+
+    createApp(backend).listen(PORT, () => {
+        logger.info('Server running', { port: Number(PORT) });
+    });
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,206 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseApiKeys,
+    signWidgetToken,
+    verifyWidgetToken,
+    createRateLimiter,
+    createDailyQuota,
+    createAccessControl
+} = require('../lib/access');
+const { createChatBackend } = require('../lib');
+const { createHandler } = require('../netlify/functions/chat');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { silentLogger, startChatServer, postChat, close } = require('./helpers/backend');
+const { countTokens } = require('../lib/tokenizer');
+
+describe('access control', () => {
+    it('reads API keys with and without ids', () => {
+        const keys = parseApiKeys('docs-site:abc123, xyz789');
+
+        assert.deepEqual(keys[0], { id: 'docs-site', key: 'abc123' });
+        assert.equal(keys[1].key, 'xyz789');
+        assert.match(keys[1].id, /^key-[0-9a-f]{8}$/);
+    });
+
+    it('refills token buckets over time', () => {
+        let now = 0;
+        const limiter = createRateLimiter({ perMinute: 6, burst: 2, now: () => now });
+
+        assert.equal(limiter.take('a'), 0);
+        assert.equal(limiter.take('a'), 0);
+        assert.equal(limiter.take('a'), 10000);
+        assert.equal(limiter.take('b'), 0);
+
+        now = 10000;
+        assert.equal(limiter.take('a'), 0);
+        assert.equal(limiter.take('a'), 10000);
+    });
+
+    it('resets daily quotas at midnight UTC', () => {
+        let now = Date.UTC(2026, 0, 1, 23, 0);
+        const quota = createDailyQuota({ tokensPerDay: 100, now: () => now });
+
+        quota.record('a', 80);
+        assert.equal(quota.remaining('a'), 20);
+        assert.equal(quota.msUntilReset(), 60 * 60 * 1000);
+
+        now = Date.UTC(2026, 0, 2, 0, 1);
+        assert.equal(quota.remaining('a'), 100);
+    });
+
+    it('accepts signed widget tokens until they expire', () => {
+        let now = 1000000;
+        const token = signWidgetToken({ sub: 'widget', ttlSeconds: 60, origins: ['https://docs.example.com'] }, 'secret', () => now);
+
+        assert.deepEqual(verifyWidgetToken(token, 'secret', () => now), {
+            sub: 'widget',
+            exp: 1060,
+            origins: ['https://docs.example.com']
+        });
+        assert.equal(verifyWidgetToken(token, 'other secret', () => now).error, 'Invalid token signature');
+        assert.equal(verifyWidgetToken(`${token}x`, 'secret', () => now).error, 'Invalid token signature');
+
+        now += 60000;
+        assert.equal(verifyWidgetToken(token, 'secret', () => now).error, 'Token has expired');
+    });
+
+    it('checks credentials, origins and limits', () => {
+        const access = createAccessControl({
+            apiKeys: [{ id: 'site', key: 'k1' }],
+            tokenSecret: 'secret',
+            corsOrigins: ['https://docs.example.com'],
+            rateLimitPerMinute: 1,
+            dailyTokenQuota: 100
+        });
+        const token = signWidgetToken({ sub: 'widget', origins: ['https://docs.example.com'] }, 'secret');
+
+        assert.equal(access.check({ headers: {}, ip: '1.1.1.1' }).statusCode, 401);
+        assert.equal(access.check({ headers: { 'x-api-key': 'nope' }, ip: '1.1.1.1' }).statusCode, 401);
+        assert.equal(access.check({ headers: { origin: 'https://evil.example', 'x-api-key': 'k1' }, ip: '1.1.1.1' }).statusCode, 403);
+        assert.equal(access.check({ headers: { Authorization: `Bearer ${token}` }, ip: '1.1.1.1' }).statusCode, 403);
+        assert.deepEqual(
+            access.check({ headers: { Authorization: `Bearer ${token}`, Origin: 'https://docs.example.com' }, ip: '1.1.1.1' }),
+            { client: { id: 'token:widget', kind: 'token' } }
+        );
+
+        const allowed = access.check({ headers: { 'x-api-key': 'k1' }, ip: '1.1.1.1' });
+        assert.deepEqual(allowed, { client: { id: 'key:site', kind: 'key' } });
+
+        const limited = access.check({ headers: { 'x-api-key': 'k1' }, ip: '2.2.2.2' });
+        assert.equal(limited.statusCode, 429);
+        assert.equal(limited.retryAfterSeconds, 60);
+
+        access.recordUsage(allowed.client, 100);
+        const otherKey = createAccessControl({ apiKeys: [{ id: 'site', key: 'k1' }], dailyTokenQuota: 100 });
+        otherKey.recordUsage(allowed.client, 100);
+        const overQuota = otherKey.check({ headers: { 'x-api-key': 'k1' }, ip: '1.1.1.1' });
+        assert.equal(overQuota.statusCode, 429);
+        assert.equal(overQuota.error, 'Daily token quota used up');
+    });
+
+    it('sends CORS headers only for allowed origins', () => {
+        const access = createAccessControl({ corsOrigins: ['https://docs.example.com'] });
+
+        assert.deepEqual(access.corsHeaders('https://docs.example.com'), {
+            'Access-Control-Allow-Origin': 'https://docs.example.com',
+            'Vary': 'Origin'
+        });
+        assert.deepEqual(access.corsHeaders('https://evil.example'), { 'Vary': 'Origin' });
+        assert.deepEqual(createAccessControl().corsHeaders('https://evil.example'), { 'Access-Control-Allow-Origin': '*' });
+    });
+});
+
+describe('access control over /chat', () => {
+    let mcp;
+    let chat;
+    const respond = params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it [1].');
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+        // Load the tokenizer now so the first request doesn't eat into the
+        // rate limit windows timed below
+        countTokens('warm up');
+    });
+
+    after(() => close(mcp));
+
+    afterEach(async () => {
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('requires an API key and rate limits each key', async () => {
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm: createFakeCerebras(respond),
+            env: { API_KEYS: 'site:k1', RATE_LIMIT_PER_MINUTE: '1', CORS_ORIGINS: 'https://docs.example.com' }
+        });
+
+        const anonymous = await postChat(chat, { message: 'Install?' });
+        assert.equal(anonymous.status, 401);
+
+        const first = await postChat(chat, { message: 'Install?' }, {
+            headers: { 'Authorization': 'Bearer k1', 'Origin': 'https://docs.example.com' }
+        });
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('access-control-allow-origin'), 'https://docs.example.com');
+
+        const second = await postChat(chat, { message: 'Install?' }, { headers: { 'X-API-Key': 'k1' } });
+        assert.equal(second.status, 429);
+        assert.equal(second.headers.get('retry-after'), '60');
+        assert.equal(second.body.error, 'Too many requests');
+    });
+
+    it('charges the daily quota with the tokens the API reported', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: createFakeCerebras(respond), env: { API_KEYS: 'site:k1' } });
+        const { body } = await postChat(chat, { message: 'Install?' }, { headers: { 'X-API-Key': 'k1' } });
+        const reported = body.usage.promptTokens + body.usage.completionTokens;
+        await close(chat);
+
+        // A quota of exactly the reported tokens is used up by one answer
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm: createFakeCerebras(respond),
+            env: { API_KEYS: 'site:k1', DAILY_TOKEN_QUOTA: String(reported) }
+        });
+        const first = await postChat(chat, { message: 'Install?' }, { headers: { 'X-API-Key': 'k1' } });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.usage.promptTokens + first.body.usage.completionTokens, reported);
+
+        const second = await postChat(chat, { message: 'Install?' }, { headers: { 'X-API-Key': 'k1' } });
+        assert.equal(second.status, 429);
+        assert.equal(second.body.error, 'Daily token quota used up');
+    });
+
+    it('applies the same checks in the Netlify handler', async () => {
+        const handler = createHandler(createChatBackend({
+            env: {
+                DOC_SOURCES: JSON.stringify([{ id: 'training', url: `${mcp.url}/mcp` }]),
+                API_KEYS: 'site:k1',
+                DAILY_TOKEN_QUOTA: '1',
+                CORS_ORIGINS: 'https://docs.example.com'
+            },
+            llm: createFakeCerebras(respond),
+            logger: silentLogger
+        }));
+        const post = headers => handler({
+            httpMethod: 'POST',
+            headers: { 'x-nf-client-connection-ip': '203.0.113.7', ...headers },
+            body: JSON.stringify({ message: 'Install?' })
+        });
+
+        assert.equal((await post({})).statusCode, 401);
+
+        const answered = await post({ 'x-api-key': 'k1', 'origin': 'https://docs.example.com' });
+        assert.equal(answered.statusCode, 200);
+        assert.equal(answered.headers['Access-Control-Allow-Origin'], 'https://docs.example.com');
+
+        // The first answer used up the one-token quota
+        const limited = await post({ 'x-api-key': 'k1' });
+        assert.equal(limited.statusCode, 429);
+        assert.ok(Number(limited.headers['Retry-After']) > 0);
+        assert.equal(JSON.parse(limited.body).error, 'Daily token quota used up');
+    });
+});
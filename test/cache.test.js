@@ -0,0 +1,229 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore, createRedisStore, createCaches, normalizeQuery } = require('../lib/cache');
+const { createRedisClient } = require('../lib/redisClient');
+const { createChatPipeline } = require('../lib/pipeline');
+const { createSourceRegistry } = require('../lib/docSources');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startFakeRedis } = require('./helpers/fakeRedis');
+const { silentLogger, close } = require('./helpers/backend');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Checks every store against the same get/set/expire/clear behaviour
+async function exerciseStore(store) {
+    await store.set('search:a', { text: 'one' }, 60000);
+    await store.set('search:b', 'two', 60000);
+    await store.set('pages:a', 'page', 60000);
+    await store.set('search:expired', 'old', 1);
+    await sleep(5);
+
+    assert.deepEqual(await store.get('search:a'), { text: 'one' });
+    assert.equal(await store.get('search:expired'), undefined);
+    assert.equal(await store.get('missing'), undefined);
+
+    await store.delete('search:b');
+    assert.equal(await store.get('search:b'), undefined);
+
+    await store.clear('search:');
+    assert.equal(await store.get('search:a'), undefined);
+    assert.equal(await store.get('pages:a'), 'page');
+}
+
+describe('cache stores', () => {
+    it('memory store expires entries and clears by prefix', async () => {
+        await exerciseStore(createMemoryStore());
+    });
+
+    it('memory store evicts the least recently used entry', async () => {
+        const store = createMemoryStore({ maxEntries: 2 });
+        await store.set('a', 1, 60000);
+        await store.set('b', 2, 60000);
+        await store.get('a');
+        await store.set('c', 3, 60000);
+
+        assert.equal(await store.get('a'), 1);
+        assert.equal(await store.get('b'), undefined);
+        assert.equal(await store.get('c'), 3);
+    });
+
+    it('file store keeps entries on disk', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-cache-'));
+        try {
+            await exerciseStore(createFileStore({ dir }));
+            assert.equal(await createFileStore({ dir }).get('pages:a'), 'page');
+
+            fs.writeFileSync(path.join(dir, 'foreign.json'), '{"name": "not a cache entry"}');
+            fs.writeFileSync(path.join(dir, 'notes.json'), '// not JSON');
+            await createFileStore({ dir }).clear();
+            assert.equal(fs.existsSync(path.join(dir, 'foreign.json')), true);
+            assert.equal(fs.existsSync(path.join(dir, 'notes.json')), true);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('redis store talks RESP to a Redis-compatible server', async () => {
+        const redis = await startFakeRedis();
+        const client = createRedisClient({ url: redis.url });
+        try {
+            await exerciseStore(createRedisStore({ client, keyPrefix: 'test:' }));
+            assert.ok(redis.commands.some(([name, key, , px]) => name === 'SET' && key === 'test:search:a' && px === 'PX'));
+        } finally {
+            client.close();
+            await close(redis);
+        }
+    });
+
+    it('redis client times out a command that gets no reply and reconnects', async () => {
+        const redis = await startFakeRedis();
+        const client = createRedisClient({ url: redis.url, timeout: 50 });
+        try {
+            await client.command(['SET', 'a', '1']);
+            redis.stalled = true;
+            await assert.rejects(client.command(['GET', 'a']), /Redis command GET timed out/);
+
+            redis.stalled = false;
+            assert.equal(await client.command(['GET', 'a']), '1');
+        } finally {
+            client.close();
+            await close(redis);
+        }
+    });
+
+    it('redis client drops a command it could not write so replies stay in order', async () => {
+        const redis = await startFakeRedis();
+        const client = createRedisClient({ url: redis.url, timeout: 200 });
+        const connect = net.connect;
+        net.connect = (...args) => {
+            const socket = connect(...args);
+            const write = socket.write;
+            socket.write = function(data, ...rest) {
+                if (String(data).includes('broken')) throw new Error('write failed');
+                return write.call(this, data, ...rest);
+            };
+            return socket;
+        };
+        try {
+            await assert.rejects(client.command(['GET', 'broken']), /write failed/);
+
+            await client.command(['SET', 'a', '1']);
+            assert.equal(await client.command(['GET', 'a']), '1');
+        } finally {
+            net.connect = connect;
+            client.close();
+            await close(redis);
+        }
+    });
+});
+
+describe('createCaches', () => {
+    const settings = { searchCacheTtlMs: 60000, pageCacheTtlMs: 60000, answerCacheTtlMs: 0 };
+
+    it('counts hits and misses per cache and purges by name', async () => {
+        const caches = createCaches(settings, { logger: silentLogger });
+
+        await caches.search.get('q');
+        await caches.search.set('q', 'results');
+        await caches.search.get('q');
+        await caches.pages.set('url', { text: 'page' });
+        await caches.answers.set('q', 'answer');
+
+        const stats = caches.stats();
+        assert.equal(stats.search.hits, 1);
+        assert.equal(stats.search.misses, 1);
+        assert.equal(stats.search.hitRate, 0.5);
+        assert.equal(stats.answers.enabled, false);
+        assert.equal(await caches.answers.get('q'), undefined);
+
+        assert.deepEqual(await caches.purge('search'), ['search']);
+        assert.equal(await caches.search.get('q'), undefined);
+        assert.deepEqual(await caches.pages.get('url'), { text: 'page' });
+        assert.equal(await caches.purge('nope'), null);
+    });
+
+    it('normalizes queries for cache keys', () => {
+        assert.equal(normalizeQuery('  How do I   Install? '), 'how do i install');
+    });
+});
+
+describe('pipeline caching', () => {
+    const source = { id: 'docs', name: 'Docs', url: 'https://docs.example.com/mcp', searchTool: 'search', allowedDomains: ['docs.example.com'] };
+    const searchText = 'Title: Install\nLink: https://docs.example.com/install\nContent: How to install.';
+
+    function createPipeline({ pageCacheTtlMs = 60000, answerCacheTtlMs = 0 } = {}) {
+        const searches = [];
+        const fetches = [];
+        const docSources = createSourceRegistry([source], {
+            createClient: () => ({
+                async callTool(name, args) {
+                    searches.push(args.query);
+                    return { content: [{ type: 'text', text: searchText }] };
+                }
+            })
+        });
+        const fetcher = async (url, options) => {
+            fetches.push(options.headers);
+            if (options.headers['If-None-Match'] === '"v1"') {
+                return { status: 304, headers: {}, data: '' };
+            }
+            return { status: 200, headers: { 'content-type': 'text/html', etag: '"v1"' }, data: '<h1>Install</h1><p>Run pip install.</p>' };
+        };
+        const llm = createFakeCerebras(params =>
+            (stageOf(params) === 'analyze' ? pageSelection(1) : 'Run pip install [1].'));
+        const settings = { searchCacheTtlMs: 60000, pageCacheTtlMs, answerCacheTtlMs };
+        const pipeline = createChatPipeline({
+            llm,
+            docSources,
+            fetcher,
+            caches: createCaches(settings, { logger: silentLogger }),
+            logger: silentLogger,
+            settings
+        });
+
+        return { pipeline, llm, searches, fetches };
+    }
+
+    it('reuses search results for the same normalized query', async () => {
+        const { pipeline, searches, fetches } = createPipeline();
+
+        await pipeline.run('How do I install?');
+        await pipeline.run('how do I install');
+
+        assert.deepEqual(searches, ['How do I install?']);
+        assert.equal(fetches.length, 1);
+    });
+
+    it('revalidates stale pages with their ETag', async () => {
+        const { pipeline, llm, fetches } = createPipeline({ pageCacheTtlMs: 1 });
+
+        await pipeline.run('How do I install?');
+        await sleep(5);
+        const { metadata } = await pipeline.run('How do I install?');
+
+        assert.equal(fetches.length, 2);
+        assert.equal(fetches[1]['If-None-Match'], '"v1"');
+        assert.equal(metadata.usedFullContent, true);
+        const answerPrompt = llm.calls.filter(params => stageOf(params) === 'answer')[1].messages.at(-1).content;
+        assert.match(answerPrompt, /Run pip install\./);
+    });
+
+    it('answers repeated first questions from the answer cache', async () => {
+        const { pipeline, llm } = createPipeline({ answerCacheTtlMs: 60000 });
+        const deltas = [];
+
+        const first = await pipeline.run('How do I install?');
+        const second = await pipeline.run('How do I install?', { onDelta: delta => deltas.push(delta) });
+        await pipeline.run('How do I install?', { history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] });
+
+        assert.equal(second.response, first.response);
+        assert.equal(second.metadata.cached, true);
+        assert.deepEqual(deltas, ['Run pip install [1].']);
+        // The follow-up with history was answered again
+        assert.equal(llm.calls.filter(params => stageOf(params) === 'answer').length, 2);
+    });
+});
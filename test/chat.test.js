@@ -0,0 +1,295 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { startFixtureSite } = require('./helpers/fixtureSite');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, postChat, close } = require('./helpers/backend');
+const { parseEventStream } = require('../lib/sse');
+
+describe('POST /chat', () => {
+    let mcp;
+    let site;
+    let chat;
+
+    before(async () => {
+        site = await startFixtureSite();
+        mcp = await startFakeMcpServer({ linkBase: () => site.url });
+    });
+
+    after(async () => {
+        await close(mcp);
+        await close(site);
+    });
+
+    afterEach(async () => {
+        mcp.failWith = null;
+        mcp.searchText = null;
+        mcp.requests.length = 0;
+        site.requests.length = 0;
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('answers from the fetched documentation pages', async () => {
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return pageSelection(1);
+            return 'Pass --num_csx=2 to use two systems [1].';
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, body } = await postChat(chat, { message: 'How do I train on several nodes?' });
+
+        assert.equal(status, 200);
+        assert.equal(body.response, 'Pass --num_csx=2 to use two systems [1].');
+        assert.deepEqual(body.metadata.selection, [
+            { url: `${site.url}/docs/multi-node`, relevance: 0.9, reason: 'Result 1 covers the question' }
+        ]);
+        assert.deepEqual(site.requests, ['/docs/multi-node']);
+        assert.deepEqual(body.sources.map(source => [source.url, source.usedFullContent]), [
+            [`${site.url}/docs/multi-node`, true],
+            [`${site.url}/docs/install`, false]
+        ]);
+        assert.equal(body.sources[0].title, 'Running on multiple nodes');
+        assert.equal(body.metadata.usedFullContent, true);
+        assert.ok(body.usage.promptTokens > 0 && body.usage.completionTokens > 0);
+        assert.equal(body.conversationId, null);
+        assert.equal(chat.backend.conversationStore.size, 0);
+
+        const answerPrompt = llm.calls.find(params => stageOf(params) === 'answer').messages.at(-1).content;
+        assert.match(answerPrompt, /Pass --num_csx=2 to launch a job on two systems/);
+
+        // The MCP handshake happens once and the session is reused
+        const methods = mcp.requests.map(request => request.message.method);
+        assert.deepEqual(methods, ['initialize', 'notifications/initialized', 'tools/call']);
+    });
+
+    it('keeps server-side conversations per client and rejects unknown ids', async () => {
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return pageSelection(1);
+            if (stageOf(params) === 'rewrite') return 'How do I train on two systems?';
+            return 'Pass --num_csx=2 [1].';
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm, env: { API_KEYS: 'site:k1,other:k2' } });
+        const owner = { headers: { Authorization: 'Bearer k1' } };
+        const other = { headers: { Authorization: 'Bearer k2' } };
+
+        const first = await postChat(chat, { message: 'How do I train?', startConversation: true }, owner);
+        const { conversationId } = first.body;
+        assert.match(conversationId, /^[0-9a-f-]{36}$/);
+
+        const followUp = await postChat(chat, { message: 'And on two systems?', conversationId }, owner);
+        assert.equal(followUp.status, 200);
+        const answer = llm.calls.filter(params => stageOf(params) === 'answer').at(-1);
+        assert.ok(answer.messages.some(msg => msg.role === 'user' && msg.content === 'How do I train?'));
+
+        const stolen = await postChat(chat, { message: 'And on two systems?', conversationId }, other);
+        assert.equal(stolen.status, 400);
+        assert.match(stolen.body.error, /Unknown or expired conversationId/);
+
+        const unknown = await postChat(chat, { message: 'Hi', conversationId: 'made-up' }, owner);
+        assert.equal(unknown.status, 400);
+        assert.equal(chat.backend.conversationStore.size, 1);
+    });
+
+    it('sends the selection schema and retries once when the reply does not match it', async () => {
+        const llm = createFakeCerebras((params, count) => {
+            if (stageOf(params) === 'analyze') {
+                return count === 1
+                    ? `["${site.url}/docs/multi-node"]`
+                    : '{"selections": [{"id": 2, "relevance": 0.4, "reason": "Setup"}, {"id": 1, "relevance": 0.8, "reason": "Multi-node runs"}]}';
+            }
+            return 'Pass --num_csx=2 to use two systems [1].';
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, body } = await postChat(chat, { message: 'How do I train on several nodes?' });
+
+        assert.equal(status, 200);
+        const analyzeCalls = llm.calls.filter(params => stageOf(params) === 'analyze');
+        assert.equal(analyzeCalls.length, 2);
+        assert.equal(analyzeCalls[0].response_format.type, 'json_schema');
+        assert.match(analyzeCalls[1].messages.at(-1).content, /must be an object with a selections array/);
+        assert.deepEqual(body.metadata.selectedUrls, [`${site.url}/docs/multi-node`, `${site.url}/docs/install`]);
+        assert.deepEqual(site.requests.sort(), ['/docs/install', '/docs/multi-node']);
+    });
+
+    it('only fetches selected result links inside the allowed domains and off private networks', async () => {
+        mcp.searchText = [
+            'Title: Metadata',
+            'Link: http://169.254.169.254/latest/meta-data/',
+            'Content: Instance metadata.',
+            '',
+            'Title: Elsewhere',
+            'Link: https://evil.example/docs/install',
+            'Content: Install from here instead.',
+            '',
+            'Title: Running on multiple nodes',
+            'Link: {base}/docs/multi-node',
+            'Content: How to launch a training job across several CS-3 systems.'
+        ].join('\n');
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return pageSelection(1, 2, 3);
+            return 'Pass --num_csx=2 to use two systems [1].';
+        });
+
+        // The test sources allow 127.0.0.1 and private networks, so only
+        // the fixture page is fetched
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+        const { body } = await postChat(chat, { message: 'How do I train on several nodes?' });
+
+        assert.deepEqual(body.metadata.rejectedUrls, [
+            { url: 'http://169.254.169.254/latest/meta-data/', reason: 'outside the allowed doc domains' },
+            { url: 'https://evil.example/docs/install', reason: 'outside the allowed doc domains' }
+        ]);
+        assert.deepEqual(body.metadata.selectedUrls, [`${site.url}/docs/multi-node`]);
+        assert.deepEqual(site.requests, ['/docs/multi-node']);
+        await close(chat);
+
+        // Even inside the allowed domains, a private address is refused
+        // unless the source allows private networks
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm,
+            env: {
+                DOC_SOURCES: JSON.stringify([{
+                    id: 'training',
+                    name: 'Training Docs',
+                    url: `${mcp.url}/mcp`,
+                    allowedDomains: ['127.0.0.1', '169.254.169.254']
+                }])
+            }
+        });
+        site.requests.length = 0;
+        const blocked = await postChat(chat, { message: 'How do I train on several nodes?' });
+
+        assert.deepEqual(blocked.body.metadata.rejectedUrls, [
+            { url: 'http://169.254.169.254/latest/meta-data/', reason: 'private network address' },
+            { url: 'https://evil.example/docs/install', reason: 'outside the allowed doc domains' },
+            { url: `${site.url}/docs/multi-node`, reason: 'private network address' }
+        ]);
+        assert.deepEqual(blocked.body.metadata.selectedUrls, []);
+        assert.deepEqual(site.requests, []);
+    });
+
+    it('tells the model the docs are unavailable when MCP fails', async () => {
+        mcp.failWith = 503;
+        const llm = createFakeCerebras(() => 'The documentation server is unavailable right now.');
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, body } = await postChat(chat, { message: 'How do I install the Model Zoo?' });
+
+        assert.equal(status, 200);
+        assert.equal(body.response, 'The documentation server is unavailable right now.');
+        assert.deepEqual(body.sources, []);
+        assert.equal(body.metadata.searchSucceeded, false);
+
+        // Only the final answer is requested, with the null-context prompt
+        assert.equal(llm.calls.length, 1);
+        assert.match(llm.calls[0].messages[0].content, /couldn't access the MCP server/);
+    });
+
+    it('falls back to the search summaries when URL selection stays invalid', async () => {
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return 'The first result looks best.';
+            return 'Install cerebras_pytorch with pip [2].';
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, body } = await postChat(chat, { message: 'How do I install the Model Zoo?' });
+
+        assert.equal(status, 200);
+        assert.equal(llm.calls.filter(params => stageOf(params) === 'analyze').length, 2);
+        assert.deepEqual(site.requests, []);
+        assert.deepEqual(body.metadata.selectedUrls, []);
+        assert.equal(body.metadata.usedFullContent, false);
+        assert.equal(body.sources.length, 2);
+        assert.equal(body.sources.every(source => !source.usedFullContent), true);
+
+        const answerPrompt = llm.calls.find(params => stageOf(params) === 'answer').messages.at(-1).content;
+        assert.match(answerPrompt, /Set up a Python environment and install cerebras_pytorch/);
+    });
+
+    it('explains an invalid API key', async () => {
+        const llm = createFakeCerebras(() => {
+            throw new Error('401 Unauthorized');
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, body } = await postChat(chat, { message: 'Hello' });
+
+        assert.equal(status, 500);
+        assert.equal(body.error, 'Failed to process request');
+        assert.match(body.response, /check that your Cerebras API key is valid/);
+    });
+
+    it('explains a model error', async () => {
+        const llm = createFakeCerebras(() => {
+            throw new Error('404 model qwen-unknown does not exist');
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, body } = await postChat(chat, { message: 'Hello' });
+
+        assert.equal(status, 500);
+        assert.match(body.response, /issue with the model selection/);
+    });
+
+    it('rejects a request without a message', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: createFakeCerebras(() => '') });
+
+        const { status, body } = await postChat(chat, {});
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Message is required');
+
+        const notText = await postChat(chat, { message: { text: 'hi' } });
+        assert.equal(notText.status, 400);
+        assert.equal(notText.body.error, 'Message is required');
+    });
+
+    it('streams progress, answer deltas and a final event', async () => {
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return pageSelection();
+            return 'Run pip install cerebras_pytorch [2].';
+        });
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, contentType, body } = await postChat(chat, { message: 'Install?' }, { stream: true });
+
+        assert.equal(status, 200);
+        assert.match(contentType, /text\/event-stream/);
+
+        const events = parseEventStream(body);
+        const steps = events.filter(event => event.type === 'progress').map(event => JSON.parse(event.data).step);
+        assert.deepEqual(steps, ['searching', 'selecting', 'answering']);
+
+        const deltas = events.filter(event => event.type === 'delta').map(event => JSON.parse(event.data).content);
+        assert.equal(deltas.join(''), 'Run pip install cerebras_pytorch [2].');
+
+        const done = JSON.parse(events[events.length - 1].data);
+        assert.equal(events[events.length - 1].type, 'done');
+        assert.equal(done.response, 'Run pip install cerebras_pytorch [2].');
+        assert.equal(done.sources.length, 2);
+    });
+
+    it('reports and purges the caches with the admin token', async () => {
+        const llm = createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it [1].'));
+        chat = await startChatServer({ mcpUrl: mcp.url, llm, env: { CACHE_ADMIN_TOKEN: 'secret' } });
+        const auth = { Authorization: 'Bearer secret' };
+
+        await postChat(chat, { message: 'Install?' });
+        await postChat(chat, { message: 'install' });
+        assert.equal(mcp.requests.filter(request => request.message.method === 'tools/call').length, 1);
+
+        assert.equal((await fetch(`${chat.url}/admin/cache`)).status, 401);
+        const stats = await (await fetch(`${chat.url}/admin/cache`, { headers: auth })).json();
+        assert.equal(stats.search.hits, 1);
+        assert.equal(stats.search.misses, 1);
+
+        const purge = await fetch(`${chat.url}/admin/cache/search`, { method: 'DELETE', headers: auth });
+        assert.deepEqual(await purge.json(), { purged: ['search'] });
+
+        await postChat(chat, { message: 'Install?' });
+        assert.equal(mcp.requests.filter(request => request.message.method === 'tools/call').length, 2);
+    });
+});
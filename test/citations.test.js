@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSources, toPublicSources, validateCitations } = require('../lib/citations');
+
+const searchItems = [
+    { title: 'Install', link: 'https://docs.example.com/install', content: 'Install with pip.', sourceId: 'training', sourceName: 'Training' },
+    { title: 'Multi-node', link: 'https://docs.example.com/multi-node', content: 'Use --num_csx.', sourceId: 'training', sourceName: 'Training' }
+];
+
+describe('buildSources', () => {
+    it('numbers the search summaries when no pages were fetched', () => {
+        const sources = toPublicSources(buildSources(searchItems, null));
+
+        assert.deepEqual(sources.map(source => [source.id, source.title, source.usedFullContent]), [
+            [1, 'Install', false],
+            [2, 'Multi-node', false]
+        ]);
+        assert.equal('content' in sources[0], false);
+    });
+
+    it('puts fetched pages first, matched to their search result, then the other summaries', () => {
+        const sources = buildSources(searchItems, [{ url: 'https://docs.example.com/multi-node/', content: 'Full page' }]);
+
+        assert.deepEqual(sources.map(source => [source.id, source.title, source.usedFullContent]), [
+            [1, 'Multi-node', true],
+            [2, 'Install', false]
+        ]);
+        assert.equal(sources[0].sourceName, 'Training');
+        assert.equal(sources[0].content, 'Full page');
+    });
+});
+
+describe('validateCitations', () => {
+    const sources = buildSources(searchItems, null);
+
+    it('removes markers for sources that do not exist', () => {
+        const result = validateCitations('Install with pip [1]. Use Slurm [4]. Both work [2, 7].', sources);
+
+        assert.equal(result.response, 'Install with pip [1]. Use Slurm. Both work [2].');
+        assert.deepEqual(result.citedSourceIds, [1, 2]);
+        assert.deepEqual(result.invalidCitations, [4, 7]);
+    });
+
+    it('leaves indexing and code alone', () => {
+        const text = 'Read args[3] or `x [5]`:\n```\ny = z [9]\n```';
+
+        assert.equal(validateCitations(text, sources).response, text);
+    });
+});
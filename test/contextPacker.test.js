@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { countTokens, truncateToTokens } = require('../lib/tokenizer');
+const { packContext } = require('../lib/contextPacker');
+const { buildSources } = require('../lib/citations');
+const { createChatPipeline } = require('../lib/pipeline');
+const { createSourceRegistry } = require('../lib/docSources');
+const { createCaches } = require('../lib/cache');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { silentLogger } = require('./helpers/backend');
+
+describe('tokenizer', () => {
+    it('counts tokens with the vocabulary of the model family', () => {
+        assert.equal(countTokens(''), 0);
+        assert.equal(countTokens('Hello, world!'), 4);
+        assert.equal(countTokens('--num_csx=2'), 6);
+
+        // Qwen splits numbers into single digits and has whole tokens for
+        // common Chinese words; Llama 3 and gpt-oss do neither
+        assert.equal(countTokens('Run 1234567 steps', 'qwen-3-235b-a22b-instruct-2507'), 10);
+        assert.equal(countTokens('Run 1234567 steps', 'llama-3.3-70b'), 6);
+        assert.equal(countTokens('Run 1234567 steps', 'gpt-oss-120b'), 6);
+        assert.equal(countTokens('文档', 'qwen-3-235b-a22b-instruct-2507'), 1);
+        assert.equal(countTokens('文档', 'llama3.1-8b'), 2);
+
+        // Other models are counted like the default model
+        assert.equal(countTokens('Run 1234567 steps', 'some-new-model'), 10);
+    });
+
+    it('cuts text between pieces to fit a token count', () => {
+        assert.equal(truncateToTokens('one two three four', 2), 'one two');
+        assert.equal(truncateToTokens('one two', 10), 'one two');
+        assert.equal(truncateToTokens('文档文档', 1), '文档');
+        assert.equal(truncateToTokens('one two', 0), '');
+    });
+});
+
+describe('packContext', () => {
+    const searchItems = [
+        { title: 'Multi-node', link: 'https://docs.example.com/multi-node', content: 'Launch jobs across several systems.' },
+        { title: 'Install', link: 'https://docs.example.com/install', content: 'Install cerebras_pytorch with pip.' },
+        { title: 'Release notes', link: 'https://docs.example.com/release-notes', content: 'Changes in each release.' }
+    ];
+    const page = {
+        url: 'https://docs.example.com/multi-node',
+        content: [
+            '# Multi-node',
+            'Training on more than one system.',
+            '## Setting num_csx',
+            'Pass --num_csx=2 to train on two systems. '.repeat(20),
+            '## Troubleshooting',
+            'Check the network between the systems. '.repeat(40)
+        ].join('\n\n')
+    };
+
+    it('ranks page sections and summaries together within the budget', () => {
+        const packed = packContext(buildSources(searchItems, [page]), 'How do I set num_csx to use two systems?', 450);
+
+        assert.ok(packed.usedTokens <= 450);
+        assert.deepEqual(packed.included.map(chunk => [chunk.kind, chunk.section || chunk.title]), [
+            ['page', 'Setting num_csx'],
+            ['page', 'Multi-node'],
+            ['summary', 'Install'],
+            ['summary', 'Release notes']
+        ]);
+        assert.deepEqual(packed.dropped.map(chunk => chunk.section), ['Troubleshooting']);
+
+        assert.deepEqual(packed.sources.map(source => [source.id, source.title]), [[1, 'Multi-node'], [2, 'Install'], [3, 'Release notes']]);
+        assert.match(packed.sources[0].content, /^# Multi-node\n\nTraining on more than one system\.\n\n## Setting num_csx/);
+        assert.doesNotMatch(packed.sources[0].content, /Troubleshooting/);
+    });
+
+    it('drops whole sources that get no chunks and cuts a first chunk too big for the budget', () => {
+        const packed = packContext(buildSources(searchItems, [page]), 'troubleshooting the network', 120);
+
+        assert.equal(packed.included[0].section, 'Troubleshooting');
+        assert.equal(packed.included[0].cut, true);
+        assert.ok(packed.usedTokens <= 120);
+        assert.equal(packed.sources[0].id, 1);
+        assert.ok(packed.dropped.length > 0);
+
+        assert.deepEqual(packContext(buildSources(searchItems, null), 'anything', 0).sources, []);
+    });
+});
+
+describe('context budget in the pipeline', () => {
+    it('leaves room for the question, history and answer in the context window', async () => {
+        const source = { id: 'docs', name: 'Docs', url: 'https://docs.example.com/mcp', searchTool: 'search', allowedDomains: ['docs.example.com'] };
+        const docSources = createSourceRegistry([source], {
+            createClient: () => ({
+                async callTool() {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: 'Title: Multi-node\nLink: https://docs.example.com/multi-node\nContent: Use --num_csx to pick the number of systems.'
+                        }]
+                    };
+                }
+            })
+        });
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return pageSelection(1);
+            if (stageOf(params) === 'rewrite') return 'How do I train on two systems with num_csx?';
+            return 'Use --num_csx=2 [1].';
+        });
+        const pipeline = createChatPipeline({
+            llm,
+            docSources,
+            fetcher: async () => ({
+                status: 200,
+                headers: { 'content-type': 'text/plain' },
+                data: `# Multi-node\n\nIntro.\n\n## num_csx\n\n${'Set num_csx to the number of systems. '.repeat(30)}\n\n## Logs\n\n${'Logs are written to model_dir. '.repeat(200)}`
+            }),
+            caches: createCaches({ searchCacheTtlMs: 0, pageCacheTtlMs: 0, answerCacheTtlMs: 0 }, { logger: silentLogger }),
+            logger: silentLogger,
+            settings: { contextWindowTokens: 2000, stages: { answer: { maxTokens: 800 } } }
+        });
+
+        const history = [
+            { role: 'user', content: 'How do I install it?' },
+            { role: 'assistant', content: 'Use pip. '.repeat(50) }
+        ];
+        const { metadata } = await pipeline.run('And on two systems?', { history });
+
+        const historyTokens = history.reduce((sum, msg) => sum + countTokens(msg.content), 0);
+        const expectedBudget = 2000 - 800 - 300 - countTokens('And on two systems?') - historyTokens;
+        assert.equal(metadata.contextPacking.budgetTokens, expectedBudget);
+        assert.ok(metadata.contextPacking.usedTokens <= expectedBudget);
+        assert.deepEqual(metadata.contextPacking.dropped.map(chunk => chunk.section), ['Logs']);
+
+        const answer = llm.calls.find(params => stageOf(params) === 'answer');
+        assert.ok(countTokens(answer.messages.at(-1).content) <= expectedBudget + 50);
+    });
+});
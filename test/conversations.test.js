@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionStore, resolveConversation, trimHistory } = require('../lib/conversations');
+
+describe('resolveConversation', () => {
+    it('uses the last user turn of a messages array as the question', () => {
+        const store = createSessionStore();
+        const conversation = resolveConversation({
+            messages: [
+                { role: 'user', content: 'How do I install the Model Zoo?' },
+                { role: 'assistant', content: 'Use pip.' },
+                { role: 'system', content: 'ignored' },
+                { role: 'user', content: 'And on multiple nodes?' }
+            ]
+        }, store);
+
+        assert.equal(conversation.message, 'And on multiple nodes?');
+        assert.equal(conversation.history.length, 2);
+        assert.equal(conversation.conversationId, null);
+    });
+
+    it('loads history kept in the store for a conversationId', () => {
+        const store = createSessionStore();
+        const first = resolveConversation({ message: 'First question', startConversation: true }, store, 'key:site');
+        store.append(first.conversationId, [
+            { role: 'user', content: 'First question' },
+            { role: 'assistant', content: 'First answer' }
+        ], 'key:site');
+
+        const second = resolveConversation({ message: 'Follow-up', conversationId: first.conversationId }, store, 'key:site');
+
+        assert.equal(second.conversationId, first.conversationId);
+        assert.deepEqual(second.history.map(turn => turn.content), ['First question', 'First answer']);
+    });
+
+    it('rejects conversationIds the store does not hold for the client', () => {
+        const store = createSessionStore();
+        const { conversationId } = resolveConversation({ message: 'First question', startConversation: true }, store, 'key:site');
+        const error = 'Unknown or expired conversationId; start a new conversation with startConversation: true';
+
+        assert.deepEqual(resolveConversation({ message: 'Follow-up', conversationId: 'made-up' }, store, 'key:site'), { error });
+        assert.deepEqual(resolveConversation({ message: 'Follow-up', conversationId }, store, 'key:other'), { error });
+        assert.equal(store.size, 1);
+    });
+
+    it('opens no conversation unless the client asks for one', () => {
+        const store = createSessionStore();
+        assert.deepEqual(resolveConversation({ message: 'One-off question' }, store), {
+            message: 'One-off question',
+            history: [],
+            conversationId: null
+        });
+        assert.equal(store.size, 0);
+    });
+
+    it('rejects a body without a question', () => {
+        assert.deepEqual(resolveConversation({}, createSessionStore()), { error: 'Message is required' });
+        assert.deepEqual(resolveConversation({ messages: 'hi' }, createSessionStore()), { error: 'messages must be an array' });
+        assert.deepEqual(resolveConversation({ message: 123 }, createSessionStore()), { error: 'Message is required' });
+        assert.deepEqual(resolveConversation({ message: { text: 'hi' } }, createSessionStore()), { error: 'Message is required' });
+        assert.deepEqual(resolveConversation({ message: ['hi'], messages: [] }, createSessionStore()), { error: 'Message is required' });
+    });
+});
+
+describe('trimHistory', () => {
+    it('keeps the most recent turns that fit the budget', () => {
+        const history = [
+            { role: 'user', content: 'a'.repeat(400) },
+            { role: 'assistant', content: 'b'.repeat(400) },
+            { role: 'user', content: 'c'.repeat(40) },
+            { role: 'assistant', content: 'd'.repeat(40) }
+        ];
+
+        assert.deepEqual(trimHistory(history, 100).map(turn => turn.content[0]), ['c', 'd']);
+    });
+});
+
+describe('createSessionStore', () => {
+    it('forgets conversations after the TTL', async () => {
+        const store = createSessionStore({ ttlMs: 10 });
+        store.append('abc', [{ role: 'user', content: 'hi' }]);
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.deepEqual(store.get('abc'), []);
+    });
+
+    it('drops the least recently used conversation beyond maxSessions', () => {
+        const store = createSessionStore({ maxSessions: 2 });
+        store.append('a', [{ role: 'user', content: 'one' }]);
+        store.append('b', [{ role: 'user', content: 'two' }]);
+        store.get('a');
+        store.append('c', [{ role: 'user', content: 'three' }]);
+
+        assert.equal(store.size, 2);
+        assert.deepEqual(store.get('b'), []);
+        assert.equal(store.get('a').length, 1);
+        assert.equal(store.get('c').length, 1);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeadline } = require('../lib/deadline');
+const { createChatPipeline } = require('../lib/pipeline');
+const { createSourceRegistry } = require('../lib/docSources');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf } = require('./helpers/fakeCerebras');
+const { silentLogger, startChatServer, postChat, close } = require('./helpers/backend');
+
+describe('createDeadline', () => {
+    it('cuts step timeouts short to keep a reserve', () => {
+        let now = 1000;
+        const deadline = createDeadline(10000, () => now);
+
+        assert.equal(deadline.timeout(5000, { reserveMs: 2000 }), 5000);
+        now = 6000;
+        assert.equal(deadline.remaining(), 5000);
+        assert.equal(deadline.timeout(5000, { reserveMs: 2000 }), 3000);
+        assert.equal(deadline.allows(6000), false);
+        now = 12000;
+        assert.equal(deadline.remaining(), 0);
+        assert.equal(deadline.timeout(5000, { reserveMs: 2000 }), 500);
+    });
+});
+
+describe('fetchFullContent', () => {
+    it('fetches the selected pages at the same time', async () => {
+        const source = { id: 'docs', name: 'Docs', url: 'https://docs.example.com/mcp', searchTool: 'search', allowedDomains: ['docs.example.com'] };
+        let active = 0;
+        let mostActive = 0;
+        const fetcher = async (url) => {
+            active++;
+            mostActive = Math.max(mostActive, active);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            active--;
+            return { status: 200, headers: { 'content-type': 'text/plain' }, data: `Page ${url}` };
+        };
+        const pipeline = createChatPipeline({
+            llm: createFakeCerebras(() => ''),
+            docSources: createSourceRegistry([source]),
+            fetcher,
+            logger: silentLogger
+        });
+
+        const urls = ['a', 'b', 'c'].map(page => `https://docs.example.com/${page}`);
+        const pages = await pipeline.fetchFullContent(urls, [source], 'page');
+
+        assert.equal(mostActive, 3);
+        assert.deepEqual(pages.map(page => page.url), urls);
+    });
+});
+
+describe('request deadline', () => {
+    let mcp;
+    let chat;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+    });
+
+    after(() => close(mcp));
+
+    afterEach(async () => {
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('answers from the search summaries when there is no time to fetch pages', async () => {
+        const llm = createFakeCerebras(() => 'Use pip [1].');
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm,
+            env: { REQUEST_TIME_LIMIT_SECONDS: '8', ANSWER_RESERVE_SECONDS: '5' }
+        });
+
+        const { status, body } = await postChat(chat, { message: 'Install?' });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.metadata.degradations, ['skipped-analysis', 'skipped-fetch']);
+        assert.equal(body.metadata.searchSucceeded, true);
+        assert.equal(body.sources.length, 2);
+        assert.equal(body.sources[0].usedFullContent, false);
+        assert.deepEqual(llm.calls.map(stageOf), ['answer']);
+    });
+
+    it('skips the follow-up rewrite when even less time is left', async () => {
+        const llm = createFakeCerebras(() => 'Use pip [1].');
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm,
+            env: { REQUEST_TIME_LIMIT_SECONDS: '6', ANSWER_RESERVE_SECONDS: '5' }
+        });
+
+        const { body } = await postChat(chat, {
+            message: 'And with conda?',
+            messages: [
+                { role: 'user', content: 'How do I install the Model Zoo?' },
+                { role: 'assistant', content: 'Use pip.' }
+            ]
+        });
+
+        assert.deepEqual(body.metadata.degradations, ['skipped-rewrite', 'skipped-analysis', 'skipped-fetch']);
+        assert.equal(body.metadata.searchQuery, 'And with conda?');
+        assert.deepEqual(llm.calls.map(stageOf), ['answer']);
+    });
+});
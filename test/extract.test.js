@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToMarkdown, splitSections, extractRelevantSections } = require('../lib/extract');
+
+const PAGE = `<!DOCTYPE html>
+<html><head><style>.x { color: red }</style><script>track("<p>hidden</p>")</script></head>
+<body>
+<header class="navbar"><a href="/">Home</a><nav><ul><li>Docs</li><li>Blog</li></ul></nav></header>
+<aside class="sidebar"><ul><li>Getting started</li></ul></aside>
+<main><article>
+<header><h1>Launching jobs<a class="hash-link" href="#top">#</a></h1></header>
+<p>Use the <code>cszoo</code> CLI to launch &amp; monitor jobs.</p>
+<h2>Multi-node</h2>
+<ol><li>Edit the config<ul><li>Set num_csx</li></ul></li><li>Run the job</li></ol>
+<pre class="language-bash"><code><span>cszoo fit</span> --num_csx=2
+  --mode train</code></pre>
+<h2>Flags</h2>
+<table><tr><th>Flag</th><th>Meaning</th></tr><tr><td>--num_csx</td><td>number of systems</td></tr></table>
+</article></main>
+<footer>Copyright Cerebras</footer>
+</body></html>`;
+
+describe('htmlToMarkdown', () => {
+    const markdown = htmlToMarkdown(PAGE);
+
+    it('keeps the article and drops scripts, styles and page chrome', () => {
+        assert.match(markdown, /^# Launching jobs\n/);
+        assert.doesNotMatch(markdown, /hidden|color: red|Home|Getting started|Copyright/);
+    });
+
+    it('converts lists, code blocks and tables to Markdown', () => {
+        assert.match(markdown, /1\. Edit the config\n {2}- Set num_csx\n2\. Run the job/);
+        assert.match(markdown, /```bash\ncszoo fit --num_csx=2\n {2}--mode train\n```/);
+        assert.match(markdown, /\| Flag \| Meaning \|\n\| --- \| --- \|\n\| --num_csx \| number of systems \|/);
+        assert.match(markdown, /Use the `cszoo` CLI to launch & monitor jobs\./);
+    });
+});
+
+describe('extractRelevantSections', () => {
+    it('splits at headings but not inside code fences', () => {
+        const sections = splitSections('# Title\nintro\n```\n# comment\n```\n## Next\nmore');
+
+        assert.deepEqual(sections.map(section => section.heading), ['Title', 'Next']);
+    });
+
+    it('keeps the sections that match the query within the budget', () => {
+        const markdown = [
+            '# Overview\nCerebras systems run large models.',
+            `## Installing\n${'Install the packages with pip. '.repeat(20)}`,
+            `## Multi-node training\n${'Set num_csx to the number of systems. '.repeat(5)}`
+        ].join('\n\n');
+
+        const content = extractRelevantSections(markdown, 'multi-node training num_csx', 300);
+
+        assert.match(content, /## Multi-node training/);
+        assert.doesNotMatch(content, /## Installing/);
+        assert.ok(content.length <= 300);
+    });
+});
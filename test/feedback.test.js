@@ -0,0 +1,187 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { createTranscriptStore, parseFeedback } = require('../lib/transcripts');
+const { createLogger } = require('../lib/logger');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, postChat, close } = require('./helpers/backend');
+
+const silentLogger = createLogger({ level: 'off' });
+
+function postFeedback(server, body) {
+    return fetch(`${server.url}/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+describe('parseFeedback', () => {
+    it('accepts a rating with an optional reason and correction', () => {
+        assert.deepEqual(parseFeedback({ answerId: 'a1', rating: 'down', reason: 'Wrong flag' }), {
+            feedback: { answerId: 'a1', rating: 'down', reason: 'Wrong flag', correction: null }
+        });
+        assert.match(parseFeedback({ answerId: 'a1', rating: 'meh' }).error, /rating must be one of: up, down/);
+        assert.match(parseFeedback({ rating: 'up' }).error, /answerId is required/);
+        assert.match(parseFeedback({ answerId: 'a1', rating: 'up', correction: 'x'.repeat(5001) }).error, /correction/);
+    });
+});
+
+describe('createTranscriptStore', () => {
+    it('keeps answers with their feedback in memory, up to maxAnswers', async () => {
+        const store = createTranscriptStore({ maxAnswers: 2, logger: silentLogger });
+        store.recordAnswer({ answerId: 'a1', question: 'One?' });
+        store.recordAnswer({ answerId: 'a2', question: 'Two?' });
+        assert.equal(store.recordFeedback({ answerId: 'a2', rating: 'down' }), true);
+        store.recordAnswer({ answerId: 'a3', question: 'Three?' });
+
+        assert.equal(store.recordFeedback({ answerId: 'a1', rating: 'up' }), false);
+        assert.equal(store.recordFeedback({ answerId: 'missing', rating: 'up' }), false);
+
+        const exported = await store.export();
+        assert.deepEqual(exported.map(answer => answer.answerId), ['a2', 'a3']);
+        assert.equal(exported[0].feedback[0].rating, 'down');
+    });
+
+    it('appends JSON lines to a file and reloads answer ids from it', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcripts-'));
+        const file = path.join(dir, 'nested', 'transcripts.jsonl');
+        try {
+            const store = createTranscriptStore({ file, logger: silentLogger });
+            store.recordAnswer({ answerId: 'a1', question: 'How?', answer: 'Like this.' });
+            assert.equal(store.recordFeedback({ answerId: 'a1', rating: 'down', reason: 'Outdated' }), true);
+            await store.export();
+
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines.map(line => line.type), ['answer', 'feedback']);
+
+            const reopened = createTranscriptStore({ file, logger: silentLogger });
+            assert.equal(reopened.recordFeedback({ answerId: 'a1', rating: 'up' }), true);
+            const [answer] = await reopened.export();
+            assert.equal(answer.question, 'How?');
+            assert.deepEqual(answer.feedback.map(item => item.rating), ['down', 'up']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('exports nothing before the file is written', async () => {
+        const file = path.join(os.tmpdir(), `transcripts-${process.pid}-missing.jsonl`);
+        assert.deepEqual(await createTranscriptStore({ file, logger: silentLogger }).export(), []);
+    });
+
+    it('export-feedback fails with a clear message when the file is missing', () => {
+        const file = path.join(os.tmpdir(), `transcripts-${process.pid}-missing.jsonl`);
+        const script = path.join(__dirname, '..', 'scripts', 'export-feedback.js');
+
+        assert.throws(() => execFileSync(process.execPath, [script, '--file', file], { stdio: 'pipe' }), (error) => {
+            assert.equal(error.status, 1);
+            assert.match(String(error.stderr), new RegExp(`Transcripts file ${file} not found`));
+            return true;
+        });
+    });
+});
+
+describe('POST /feedback', () => {
+    let mcp;
+    let chat;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+    });
+
+    after(() => close(mcp));
+
+    afterEach(async () => {
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('stores feedback with the question, selected URLs, context digest and answer', async () => {
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm: createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it with pip [1].'))
+        });
+
+        const { status, body } = await postChat(chat, { message: 'How do I install it?' });
+        assert.equal(status, 200);
+        assert.match(body.answerId, /^[0-9a-f-]{36}$/);
+        assert.match(body.metadata.contextDigest, /^[0-9a-f]{64}$/);
+
+        const feedback = await postFeedback(chat, {
+            answerId: body.answerId,
+            rating: 'down',
+            reason: 'Missing the Docker steps',
+            correction: 'Use the published container image.'
+        });
+        assert.equal(feedback.status, 200);
+
+        const [answer] = await chat.backend.transcripts.export();
+        assert.equal(answer.answerId, body.answerId);
+        assert.equal(answer.question, 'How do I install it?');
+        assert.equal(answer.answer, body.response);
+        assert.deepEqual(answer.selectedUrls, []);
+        assert.equal(answer.contextDigest, body.metadata.contextDigest);
+        assert.deepEqual(answer.feedback.map(({ rating, reason, correction }) => ({ rating, reason, correction })), [{
+            rating: 'down',
+            reason: 'Missing the Docker steps',
+            correction: 'Use the published container image.'
+        }]);
+    });
+
+    it('returns the answerId in the streamed done event', async () => {
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm: createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it.'))
+        });
+
+        const { body } = await postChat(chat, { message: 'How do I install it?' }, { stream: true });
+        const done = JSON.parse(body.split('event: done\ndata: ')[1].split('\n')[0]);
+        assert.match(done.answerId, /^[0-9a-f-]{36}$/);
+    });
+
+    it('rejects bad bodies and unknown answers', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: createFakeCerebras(() => 'Hi.') });
+
+        assert.equal((await postFeedback(chat, { answerId: 'x', rating: 'sideways' })).status, 400);
+        const unknown = await postFeedback(chat, { answerId: 'not-an-answer', rating: 'up' });
+        assert.equal(unknown.status, 404);
+        assert.match(unknown.body.error, /Unknown answerId/);
+    });
+
+    it('exports answers kept in memory at /admin/feedback', async () => {
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm: createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it, "quickly".')),
+            env: { FEEDBACK_ADMIN_TOKEN: 'secret', CACHE_ADMIN_TOKEN: 'cache-secret' }
+        });
+        const exportFeedback = (query = '', token = 'secret') => fetch(`${chat.url}/admin/feedback${query}`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+
+        const rated = await postChat(chat, { message: 'How do I install it?' });
+        await postChat(chat, { message: 'How do I upgrade?' });
+        await postFeedback(chat, { answerId: rated.body.answerId, rating: 'down', reason: 'Too short' });
+
+        assert.equal((await exportFeedback('', 'wrong')).status, 401);
+        assert.equal((await exportFeedback('', 'cache-secret')).status, 401);
+
+        const all = await exportFeedback();
+        assert.match(all.headers.get('content-type'), /application\/x-ndjson/);
+        const lines = (await all.text()).trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(answer => answer.question), ['How do I install it?', 'How do I upgrade?']);
+
+        const csv = await (await exportFeedback('?rating=down&format=csv')).text();
+        const [header, row, extra] = csv.trim().split('\n');
+        assert.match(header, /^time,answerId,rating,reason/);
+        assert.match(row, new RegExp(`,${rated.body.answerId},down,Too short,,How do I install it\\?,`));
+        assert.match(row, /"Install it, ""quickly""\."/);
+        assert.equal(extra, undefined);
+
+        assert.equal((await exportFeedback('?since=yesterday-ish')).status, 400);
+    });
+});
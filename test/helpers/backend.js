@@ -0,0 +1,57 @@
+const { createChatBackend } = require('../../lib');
+const { createApp } = require('../../server');
+const { listen } = require('./fakeMcpServer');
+const { createLogger } = require('../../lib/logger');
+
+const silentLogger = createLogger({ level: 'off' });
+
+// Build a chat backend pointed at the fake MCP server and fake Cerebras
+// client, served by the Express adapter on a free local port
+async function startChatServer({ mcpUrl, llm, env = {}, logger = silentLogger }) {
+    const backend = createChatBackend({
+        env: {
+            DOC_SOURCES: JSON.stringify([{
+                id: 'training',
+                name: 'Training Docs',
+                url: `${mcpUrl}/mcp`,
+                allowedDomains: ['127.0.0.1'],
+                allowPrivateNetworks: true
+            }]),
+            ...env
+        },
+        llm,
+        logger
+    });
+
+    const server = await listen(require('http').createServer(createApp(backend)));
+    server.backend = backend;
+    return server;
+}
+
+async function postChat(server, body, { stream = false, headers = {} } = {}) {
+    const response = await fetch(`${server.url}/chat${stream ? '?stream=1' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    const contentType = response.headers.get('content-type') || '';
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        contentType,
+        body: contentType.includes('application/json') ? JSON.parse(text) : text
+    };
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+module.exports = {
+    silentLogger,
+    startChatServer,
+    postChat,
+    close
+};
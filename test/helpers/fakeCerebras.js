@@ -0,0 +1,76 @@
+const { DEFAULT_MODEL } = require('../../lib/models');
+
+// Stub for the Cerebras SDK client. Each call to chat.completions.create is
+// recorded in `calls` and answered by `respond(params)`, which returns the
+// message content as a string (or throws). Streaming requests get the
+// content back as a stream of one-word chunks, with the token `usage` on
+// the last one. models.list() lists `models`.
+function createFakeCerebras(respond, { models = [DEFAULT_MODEL] } = {}) {
+    const calls = [];
+
+    const client = {
+        calls,
+        models: {
+            async list() {
+                return { object: 'list', data: models.map(id => ({ id, object: 'model' })) };
+            }
+        },
+        chat: {
+            completions: {
+                async create(params) {
+                    calls.push(params);
+                    const reply = await respond(params, calls.length);
+                    const message = typeof reply === 'string' ? { role: 'assistant', content: reply } : reply;
+
+                    const usage = countUsage(params.messages, message.content || '');
+                    if (params.stream) {
+                        return streamChunks(message.content || '', usage);
+                    }
+                    return { choices: [{ index: 0, message, finish_reason: 'stop' }], usage };
+                }
+            }
+        }
+    };
+
+    return client;
+}
+
+// Token counts at roughly four characters a token
+function countUsage(messages, content) {
+    const promptTokens = Math.ceil(messages.reduce((sum, msg) => sum + (msg.content || '').length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+async function* streamChunks(content, usage) {
+    for (const piece of content.match(/\S+\s*/g) || []) {
+        yield { choices: [{ index: 0, delta: { content: piece } }] };
+    }
+    yield { choices: [], usage };
+}
+
+// Which pipeline stage a completion request belongs to, judged by its
+// system prompt
+function stageOf(params) {
+    const system = params.messages[0].content;
+    if (system.includes('analyzes search results')) return 'analyze';
+    if (system.includes('rewrite follow-up questions')) return 'rewrite';
+    if (system.includes('plan documentation searches')) return 'plan';
+    if (system.includes('check whether statements')) return 'verify';
+    if (system.includes('revise answers')) return 'revise';
+    return 'answer';
+}
+
+// An analyze stage reply selecting the search results with these ids, most
+// relevant first
+function pageSelection(...ids) {
+    return JSON.stringify({
+        selections: ids.map((id, i) => ({ id, relevance: Math.round((0.9 - i * 0.1) * 10) / 10, reason: `Result ${id} covers the question` }))
+    });
+}
+
+module.exports = {
+    createFakeCerebras,
+    stageOf,
+    pageSelection
+};
@@ -0,0 +1,149 @@
+const http = require('http');
+
+const SEARCH_TEXT = [
+    'Title: Running on multiple nodes',
+    'Link: {base}/docs/multi-node',
+    'Content: How to launch a training job across several CS-3 systems.',
+    '',
+    'Title: Installing the Cerebras Model Zoo',
+    'Link: {base}/docs/install',
+    'Content: Set up a Python environment and install cerebras_pytorch.'
+].join('\n');
+
+// A local stand-in for the docs MCP server. It speaks the Streamable HTTP
+// transport, replying over SSE with canned initialize, tools/list and
+// search payloads. `linkBase` is substituted into the search result links.
+//
+// Set server.failWith = <status> to make every request fail,
+// server.initializeDelayMs to hold back initialize replies,
+// server.searchText to replace the search results ({base} is the link
+// base) and server.expireSessions() to force clients to reconnect.
+function startFakeMcpServer({ linkBase = 'http://127.0.0.1' } = {}) {
+    const sessions = new Set();
+    const requests = [];
+    let sessionCount = 0;
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            const message = JSON.parse(raw);
+            requests.push({ message, headers: req.headers });
+
+            if (server.failWith) {
+                res.writeHead(server.failWith, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'unavailable' }));
+            }
+
+            if (message.method === 'initialize') {
+                const sessionId = `session-${++sessionCount}`;
+                sessions.add(sessionId);
+                if (server.initializeDelayMs) {
+                    const timer = setTimeout(() => res.end(), server.initializeDelayMs);
+                    res.on('close', () => clearTimeout(timer));
+                    return;
+                }
+                return sendEvents(res, [{
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    result: {
+                        protocolVersion: '2025-03-26',
+                        capabilities: { tools: {} },
+                        serverInfo: { name: 'fake-docs', version: '1.0.0' }
+                    }
+                }], { 'Mcp-Session-Id': sessionId });
+            }
+
+            if (!sessions.has(req.headers['mcp-session-id'])) {
+                res.writeHead(404);
+                return res.end();
+            }
+
+            // Notifications are acknowledged without a body
+            if (message.id === undefined) {
+                res.writeHead(202);
+                return res.end();
+            }
+
+            if (message.method === 'ping') {
+                return sendEvents(res, [{ jsonrpc: '2.0', id: message.id, result: {} }]);
+            }
+
+            if (message.method === 'tools/list') {
+                return sendEvents(res, [{
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    result: {
+                        tools: [{
+                            name: 'search',
+                            description: 'Search the documentation',
+                            inputSchema: {
+                                type: 'object',
+                                properties: { query: { type: 'string' } },
+                                required: ['query']
+                            }
+                        }]
+                    }
+                }]);
+            }
+
+            if (message.method === 'tools/call' && message.params.name === 'search') {
+                const base = typeof linkBase === 'function' ? linkBase() : linkBase;
+                return sendEvents(res, [
+                    {
+                        jsonrpc: '2.0',
+                        method: 'notifications/progress',
+                        params: { progressToken: 1, progress: 1, total: 2 }
+                    },
+                    {
+                        jsonrpc: '2.0',
+                        id: message.id,
+                        result: {
+                            content: [{ type: 'text', text: (server.searchText || SEARCH_TEXT).replace(/\{base\}/g, base) }]
+                        }
+                    }
+                ]);
+            }
+
+            sendEvents(res, [{
+                jsonrpc: '2.0',
+                id: message.id,
+                error: { code: -32601, message: `Unknown method ${message.method}` }
+            }]);
+        });
+    });
+
+    server.requests = requests;
+    server.failWith = null;
+    server.initializeDelayMs = 0;
+    server.searchText = null;
+    server.expireSessions = () => sessions.clear();
+
+    return listen(server);
+}
+
+function sendEvents(res, messages, headers = {}) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', ...headers });
+    for (const message of messages) {
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+    res.end();
+}
+
+// Start an HTTP server on a free local port and resolve with it, with its
+// base URL in server.url
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    startFakeMcpServer,
+    listen
+};
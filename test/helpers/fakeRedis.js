@@ -0,0 +1,72 @@
+const net = require('net');
+const { parseReply } = require('../../lib/redisClient');
+
+function encode(value) {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// A local stand-in for a Redis server supporting the commands the cache
+// uses (GET, SET with PX, DEL and SCAN with a prefix MATCH). Received
+// commands are recorded in server.commands. While server.stalled is set,
+// commands get no reply.
+function startFakeRedis() {
+    const data = new Map();
+    const commands = [];
+
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = parseReply(buffer))) {
+                buffer = buffer.subarray(parsed.offset);
+                const [name, ...args] = parsed.value;
+                commands.push([name.toUpperCase(), ...args]);
+                if (!server.stalled) socket.write(run(name.toUpperCase(), args));
+            }
+        });
+    });
+
+    function run(name, args) {
+        const now = Date.now();
+        for (const [key, entry] of data) {
+            if (entry.expiresAt <= now) data.delete(key);
+        }
+
+        if (name === 'GET') {
+            return encode(data.has(args[0]) ? data.get(args[0]).value : null);
+        }
+        if (name === 'SET') {
+            const ttl = args[2] === 'PX' ? parseInt(args[3], 10) : Infinity;
+            data.set(args[0], { value: args[1], expiresAt: now + ttl });
+            return '+OK\r\n';
+        }
+        if (name === 'DEL') {
+            return encode(args.filter(key => data.delete(key)).length);
+        }
+        if (name === 'SCAN') {
+            const prefix = args[2].replace(/\*$/, '').replace(/\\(.)/g, '$1');
+            return encode(['0', [...data.keys()].filter(key => key.startsWith(prefix))]);
+        }
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+
+    server.commands = commands;
+    server.data = data;
+    server.stalled = false;
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            server.url = `redis://127.0.0.1:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    startFakeRedis
+};
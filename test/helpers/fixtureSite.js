@@ -0,0 +1,38 @@
+const http = require('http');
+const { listen } = require('./fakeMcpServer');
+
+const PAGES = {
+    '/docs/multi-node': `<!DOCTYPE html>
+<html><head><title>Running on multiple nodes</title></head>
+<body><h1>Running on multiple nodes</h1>
+<p>Pass --num_csx=2 to launch a job on two systems.</p></body></html>`,
+    '/docs/install': `<!DOCTYPE html>
+<html><head><title>Installing the Cerebras Model Zoo</title></head>
+<body><h1>Install</h1><p>Run pip install cerebras_pytorch.</p></body></html>`
+};
+
+// Local site serving documentation pages for fetchFullContent. Requested
+// paths are recorded in server.requests.
+function startFixtureSite() {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const page = PAGES[req.url];
+
+        if (!page) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page);
+    });
+
+    server.requests = requests;
+    return listen(server);
+}
+
+module.exports = {
+    startFixtureSite
+};
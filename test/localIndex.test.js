@@ -0,0 +1,178 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chunkDocument, buildIndex, saveIndex, createLocalIndex, loadLocalIndex, formatLocalResults } = require('../lib/localIndex');
+const { loadDirectory } = require('../lib/ingest');
+const { parseSearchResults } = require('../lib/pipeline');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, postChat, close } = require('./helpers/backend');
+
+const DOCUMENTS = [
+    {
+        url: 'https://docs.example.com/install',
+        title: 'Install',
+        sourceId: 'training',
+        markdown: '# Install\n\nRun pip install cerebras_pytorch in a virtual environment.\n\n## Conda\n\nConda environments are not supported.'
+    },
+    {
+        url: 'https://docs.example.com/multi-node',
+        title: 'Multiple nodes',
+        sourceId: 'training',
+        markdown: '# Multiple nodes\n\nPass --num_csx=2 to train on two CS-3 systems.'
+    },
+    {
+        url: 'https://inference.example.com/keys',
+        title: 'API keys',
+        sourceId: 'inference',
+        markdown: '# API keys\n\nCreate an API key to install the inference SDK.'
+    }
+];
+
+function buildTestIndex() {
+    return buildIndex(DOCUMENTS.flatMap(document => chunkDocument(document)));
+}
+
+describe('local docs index', () => {
+    it('chunks pages by section and splits long sections', () => {
+        const chunks = chunkDocument(DOCUMENTS[0]);
+        assert.deepEqual(chunks.map(chunk => chunk.heading), ['Install', 'Conda']);
+        assert.equal(chunks[1].url, 'https://docs.example.com/install');
+
+        const long = chunkDocument({ url: 'u', title: 't', markdown: `# Long\n\n${'word '.repeat(100)}\n\n${'more '.repeat(100)}` }, { maxChars: 600 });
+        assert.equal(long.length, 2);
+        assert.ok(long.every(chunk => chunk.text.length <= 600));
+    });
+
+    it('ranks chunks with BM25 and filters by source', () => {
+        const index = createLocalIndex(buildTestIndex());
+
+        const hits = index.search('how do I train on several CS-3 systems');
+        assert.equal(hits[0].chunk.url, 'https://docs.example.com/multi-node');
+
+        const install = index.search('install', { sourceIds: ['training'] });
+        assert.ok(install.length > 0);
+        assert.ok(install.every(hit => hit.chunk.sourceId === 'training'));
+        assert.deepEqual(index.search('kubernetes'), []);
+    });
+
+    it('indexes and searches terms named like Object.prototype properties', () => {
+        const chunks = chunkDocument({
+            url: 'https://docs.example.com/api',
+            title: 'API',
+            markdown: '# API\n\nThe constructor takes a config. Never set __proto__ or hasOwnProperty.'
+        });
+        const built = buildIndex(chunks);
+        assert.deepEqual(built.postings.constructor, [[0, 1]]);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-index-'));
+        try {
+            const file = path.join(dir, 'index.json');
+            saveIndex(file, built);
+            for (const index of [createLocalIndex(built), loadLocalIndex(file)]) {
+                assert.equal(index.search('constructor')[0].chunk.url, 'https://docs.example.com/api');
+                assert.equal(index.search('__proto__').length, 1);
+                assert.deepEqual(index.search('tostring valueof'), []);
+            }
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('round-trips through disk and formats hits as search results', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-index-'));
+        try {
+            const file = path.join(dir, 'index.json');
+            saveIndex(file, buildTestIndex());
+            const index = loadLocalIndex(file);
+
+            const items = parseSearchResults(formatLocalResults(index.search('conda')));
+            assert.equal(items[0].title, 'Install - Conda');
+            assert.equal(items[0].link, 'https://docs.example.com/install');
+            assert.match(items[0].content, /not supported/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('loads a directory of Markdown and HTML files', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-snapshot-'));
+        try {
+            fs.mkdirSync(path.join(dir, 'guides'));
+            fs.writeFileSync(path.join(dir, 'guides', 'install.md'), '---\ntitle: "Installing"\n---\n# Install\n\nUse pip.');
+            fs.writeFileSync(path.join(dir, 'index.html'), '<html><head><title>Home</title></head><body><main><h1>Welcome</h1><p>Start here.</p></main></body></html>');
+            fs.writeFileSync(path.join(dir, 'logo.png'), '');
+
+            const documents = loadDirectory(dir, { baseUrl: 'https://docs.example.com/', sourceId: 'training' });
+
+            assert.deepEqual(documents.map(document => [document.url, document.title]), [
+                ['https://docs.example.com/guides/install', 'Installing'],
+                ['https://docs.example.com/', 'Home']
+            ]);
+            assert.equal(documents[0].markdown, '# Install\n\nUse pip.');
+            assert.match(documents[1].markdown, /Start here\./);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('POST /chat with a local index', () => {
+    let mcp;
+    let chat;
+    let dir;
+    let indexFile;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-index-'));
+        indexFile = path.join(dir, 'index.json');
+        saveIndex(indexFile, buildTestIndex());
+    });
+
+    after(async () => {
+        await close(mcp);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        mcp.failWith = null;
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('answers from the local index when MCP is down', async () => {
+        mcp.failWith = 503;
+        const llm = createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Use --num_csx=2 [1].'));
+        chat = await startChatServer({ mcpUrl: mcp.url, llm, env: { LOCAL_INDEX_FILE: indexFile } });
+
+        const { status, body } = await postChat(chat, { message: 'How do I train on two systems?' });
+
+        assert.equal(status, 200);
+        assert.equal(body.metadata.localIndex, 'fallback');
+        assert.deepEqual(body.metadata.failedSources, ['training']);
+        assert.equal(body.sources[0].url, 'https://docs.example.com/multi-node');
+        assert.equal(body.sources[0].sourceId, 'local');
+
+        const answerCall = llm.calls.find(params => stageOf(params) === 'answer');
+        assert.match(answerCall.messages.at(-1).content, /Pass --num_csx=2 to train on two CS-3 systems/);
+        assert.doesNotMatch(answerCall.messages[0].content, /couldn't access the MCP server/);
+    });
+
+    it('blends local results with MCP results in hybrid mode', async () => {
+        const llm = createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Use pip [1].'));
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm,
+            env: { LOCAL_INDEX_FILE: indexFile, LOCAL_INDEX_MODE: 'hybrid' }
+        });
+
+        const { body } = await postChat(chat, { message: 'conda install' });
+
+        assert.equal(body.metadata.localIndex, 'hybrid');
+        const sourceIds = new Set(body.sources.map(source => source.sourceId));
+        assert.deepEqual([...sourceIds].sort(), ['local', 'training']);
+    });
+});
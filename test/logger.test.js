@@ -0,0 +1,186 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createLogger, runInRequest } = require('../lib/logger');
+const { buildTracePayload, createOtlpExporter } = require('../lib/otlp');
+const { startFakeMcpServer, listen } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, postChat, close } = require('./helpers/backend');
+
+// Logger writing parsed JSON lines into an array
+function captureLogger(options = {}) {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)), ...options });
+    return { logger, lines };
+}
+
+describe('createLogger', () => {
+    it('writes one JSON object per line above the level', () => {
+        const { logger, lines } = captureLogger({ level: 'info' });
+
+        logger.debug('Hidden');
+        logger.info('Fetched page', { url: 'https://docs.example.com/a', status: 200 });
+        logger.error('Failed', { error: new TypeError('boom') });
+
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].level, 'info');
+        assert.equal(lines[0].msg, 'Fetched page');
+        assert.equal(lines[0].status, 200);
+        assert.match(lines[0].time, /^\d{4}-\d\d-\d\dT/);
+        assert.equal(lines[1].error, 'boom');
+        assert.equal(lines[1].errorName, 'TypeError');
+    });
+
+    it('redacts message content unless told not to', () => {
+        const redacted = captureLogger();
+        redacted.logger.info('Searching', { query: 'my secret project', sources: ['docs'] });
+        assert.equal(redacted.lines[0].query, '[redacted 17 chars]');
+        assert.deepEqual(redacted.lines[0].sources, ['docs']);
+
+        const plain = captureLogger({ redact: false });
+        plain.logger.info('Searching', { query: 'my secret project' });
+        assert.equal(plain.lines[0].query, 'my secret project');
+    });
+
+    it('redacts the search queries and expansions planned from a question', () => {
+        const { logger, lines } = captureLogger({ level: 'debug' });
+        logger.debug('Planned search queries', { queries: ['my secret project install', 'my secret project train'] });
+        logger.info('Planned', {
+            queryPlan: { planned: true, queries: ['my secret project'], expansions: [] },
+            expansions: [{ term: 'csx', expansion: 'CS-3 system' }]
+        });
+
+        assert.equal(lines[0].queries, '[redacted 2 items]');
+        assert.equal(lines[1].queryPlan, '[redacted]');
+        assert.equal(lines[1].expansions, '[redacted 1 items]');
+        assert.ok(lines.every(line => !JSON.stringify(line).includes('secret')));
+    });
+
+    it('tags lines with the request id and nests spans', async () => {
+        const exported = [];
+        const { logger, lines } = captureLogger({
+            exporter: { export: (traceId, spans) => exported.push({ traceId, spans }) }
+        });
+
+        await runInRequest('req-1', () => logger.span('chat', {}, async () => {
+            logger.info('Inside');
+            await logger.span('search', { sources: ['docs'] }, async (span) => {
+                span.set({ answered: 1 });
+            });
+        }));
+
+        assert.ok(lines.every(line => line.requestId === 'req-1'));
+        const search = lines.find(line => line.span === 'search');
+        assert.equal(search.msg, 'search finished');
+        assert.equal(search.answered, 1);
+        assert.equal(typeof search.durationMs, 'number');
+
+        assert.equal(exported.length, 1);
+        const [searchSpan, chatSpan] = exported[0].spans;
+        assert.equal(chatSpan.name, 'chat');
+        assert.equal(chatSpan.parentSpanId, null);
+        assert.equal(searchSpan.parentSpanId, chatSpan.spanId);
+    });
+
+    it('redacts span attributes once, logging the length of the real value', async () => {
+        const exported = [];
+        const { logger, lines } = captureLogger({
+            exporter: { export: (traceId, spans) => exported.push(...spans) }
+        });
+
+        await runInRequest('req-1', () => logger.span('search', { query: 'how do I train on csx?', sources: ['docs'] }, async (span) => {
+            span.set({ queries: ['train', 'csx'] });
+        }));
+
+        const search = lines.find(line => line.span === 'search');
+        assert.equal(search.query, '[redacted 22 chars]');
+        assert.equal(search.queries, '[redacted 2 items]');
+        assert.deepEqual(search.sources, ['docs']);
+        assert.deepEqual(exported[0].attributes, { query: '[redacted 22 chars]', sources: ['docs'], queries: '[redacted 2 items]' });
+    });
+});
+
+describe('OTLP export', () => {
+    it('builds OTLP/JSON trace payloads', () => {
+        const payload = buildTracePayload('a'.repeat(32), [
+            { name: 'chat', spanId: 'b'.repeat(16), parentSpanId: null, startTime: 1000, endTime: 1250, status: 'ok', attributes: { mode: 'pipeline' } },
+            { name: 'fetch', spanId: 'c'.repeat(16), parentSpanId: 'b'.repeat(16), startTime: 1100, endTime: 1200, status: 'error', error: 'timeout', attributes: { urls: 2 } }
+        ], 'docs-chat');
+
+        const { resource, scopeSpans } = payload.resourceSpans[0];
+        assert.deepEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'docs-chat' } }]);
+        const [chat, fetchSpan] = scopeSpans[0].spans;
+        assert.equal(chat.kind, 2);
+        assert.equal(chat.startTimeUnixNano, '1000000000');
+        assert.equal(chat.parentSpanId, undefined);
+        assert.equal(fetchSpan.parentSpanId, 'b'.repeat(16));
+        assert.deepEqual(fetchSpan.attributes, [{ key: 'urls', value: { intValue: '2' } }]);
+        assert.deepEqual(fetchSpan.status, { code: 2, message: 'timeout' });
+    });
+
+    it('posts spans to the collector', async () => {
+        const received = [];
+        const collector = await listen(http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ url: req.url, body: JSON.parse(body) });
+                res.end('{}');
+            });
+        }));
+
+        try {
+            const exporter = createOtlpExporter({ endpoint: collector.url });
+            exporter.export('a'.repeat(32), [{ name: 'chat', spanId: 'b'.repeat(16), parentSpanId: null, startTime: 1, endTime: 2, status: 'ok' }]);
+
+            for (let i = 0; i < 50 && received.length === 0; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            assert.equal(received.length, 1);
+            assert.equal(received[0].url, '/v1/traces');
+            assert.equal(received[0].body.resourceSpans[0].scopeSpans[0].spans[0].name, 'chat');
+        } finally {
+            await close(collector);
+        }
+    });
+});
+
+describe('request tracing over /chat', () => {
+    let mcp;
+    let chat;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+    });
+
+    after(() => close(mcp));
+
+    afterEach(async () => {
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('returns the request id and logs each step without the message', async () => {
+        const { logger, lines } = captureLogger();
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm: createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it [1].')),
+            logger
+        });
+
+        const { status, headers } = await postChat(chat, { message: 'How do I install secretproject?' }, {
+            headers: { 'X-Request-Id': 'client-req-42' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-request-id'), 'client-req-42');
+
+        const spans = lines.filter(line => line.span).map(line => line.span);
+        assert.deepEqual(spans.filter(name => name !== 'search.source'), ['search', 'analyze', 'answer', 'verify', 'chat']);
+        assert.ok(lines.filter(line => line.span).every(line => line.requestId === 'client-req-42'));
+        assert.ok(!JSON.stringify(lines).includes('secretproject'));
+
+        const generated = await postChat(chat, { message: 'Install?' }, { headers: { 'X-Request-Id': 'bad id!' } });
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { close } = require('./helpers/backend');
+const { createMcpClient } = require('../lib/mcpClient');
+
+describe('createMcpClient', () => {
+    let mcp;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+    });
+
+    after(() => close(mcp));
+
+    afterEach(() => {
+        mcp.requests.length = 0;
+        mcp.initializeDelayMs = 0;
+    });
+
+    it('runs the handshake once and reuses the session', async () => {
+        const client = createMcpClient({ url: `${mcp.url}/mcp` });
+
+        await Promise.all([
+            client.callTool('search', { query: 'a' }),
+            client.callTool('search', { query: 'b' })
+        ]);
+        await client.listTools();
+        await client.listTools();
+
+        const methods = mcp.requests.map(request => request.message.method);
+        assert.deepEqual(methods, ['initialize', 'notifications/initialized', 'tools/call', 'tools/call', 'tools/list']);
+
+        const sessionId = client.getSession().sessionId;
+        const calls = mcp.requests.filter(request => request.message.method !== 'initialize');
+        assert.equal(calls.every(request => request.headers['mcp-session-id'] === sessionId), true);
+        assert.equal(calls[0].headers['mcp-protocol-version'], '2025-03-26');
+    });
+
+    it('reconnects when the session expires', async () => {
+        const client = createMcpClient({ url: `${mcp.url}/mcp` });
+        await client.connect();
+        const firstSession = client.getSession().sessionId;
+
+        mcp.expireSessions();
+        const result = await client.callTool('search', { query: 'nodes' });
+
+        assert.match(result.content[0].text, /Running on multiple nodes/);
+        assert.notEqual(client.getSession().sessionId, firstSession);
+    });
+
+    it('holds a slow handshake to the call timeout', async () => {
+        mcp.initializeDelayMs = 5000;
+        const client = createMcpClient({ url: `${mcp.url}/mcp` });
+
+        const startedAt = Date.now();
+        await assert.rejects(client.listTools({ timeout: 200 }));
+        await assert.rejects(client.callTool('search', { query: 'nodes' }, { timeout: 200 }));
+        assert.ok(Date.now() - startedAt < 2000);
+        assert.equal(client.getSession(), null);
+    });
+
+    it('passes notifications sent before the result to the handler', async () => {
+        const notifications = [];
+        const client = createMcpClient({ url: `${mcp.url}/mcp` });
+
+        await client.callTool('search', { query: 'nodes' }, {
+            onNotification: notification => notifications.push(notification.method)
+        });
+
+        assert.deepEqual(notifications, ['notifications/progress']);
+    });
+
+    it('throws JSON-RPC errors', async () => {
+        const client = createMcpClient({ url: `${mcp.url}/mcp` });
+
+        await assert.rejects(client.callTool('fetch', { url: 'x' }), /Unknown method|MCP error/);
+    });
+});
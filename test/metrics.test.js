@@ -0,0 +1,209 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+const { createHealthCheck } = require('../lib/health');
+const { createLogger } = require('../lib/logger');
+const { DEFAULT_MODEL } = require('../lib/models');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, postChat, close } = require('./helpers/backend');
+
+const silentLogger = createLogger({ level: 'off' });
+
+// The value of one sample in Prometheus text, or undefined
+function sample(text, series) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+async function getMetrics(server, headers = {}) {
+    const response = await fetch(`${server.url}/metrics`, { headers });
+    return { status: response.status, contentType: response.headers.get('content-type'), text: await response.text() };
+}
+
+describe('createMetrics', () => {
+    it('renders counters and histograms from request spans', () => {
+        const metrics = createMetrics();
+        const span = (name, parentSpanId, durationMs, extra = {}) => ({
+            name, spanId: name, parentSpanId, startTime: 1000, endTime: 1000 + durationMs, status: 'ok', attributes: {}, ...extra
+        });
+
+        metrics.recordRequest({
+            mode: 'pipeline',
+            outcome: 'answered',
+            spans: [
+                span('search.source', 'search', 40, { attributes: { source: 'training', failed: true } }),
+                span('fetch', 'chat', 300, { attributes: { urls: 3, errors: 1 } }),
+                span('answer', 'chat', 2000, { attributes: { withDocs: false } }),
+                span('chat', null, 2400)
+            ]
+        });
+        metrics.recordRejection(429);
+
+        const text = metrics.render();
+        assert.match(text, /# TYPE chat_requests_total counter/);
+        assert.equal(sample(text, 'chat_requests_total{mode="pipeline",outcome="answered"}'), 1);
+        assert.equal(sample(text, 'chat_rejected_requests_total{status="429"}'), 1);
+        assert.equal(sample(text, 'chat_mcp_calls_total{source="training",call="search",outcome="error"}'), 1);
+        assert.equal(sample(text, 'chat_page_fetches_total'), 3);
+        assert.equal(sample(text, 'chat_page_fetch_errors_total'), 1);
+        assert.equal(sample(text, 'chat_context_fallbacks_total{mode="pipeline"}'), 1);
+
+        assert.equal(sample(text, 'chat_step_duration_seconds_bucket{step="fetch",le="0.25"}'), 0);
+        assert.equal(sample(text, 'chat_step_duration_seconds_bucket{step="fetch",le="0.5"}'), 1);
+        assert.equal(sample(text, 'chat_step_duration_seconds_bucket{step="fetch",le="+Inf"}'), 1);
+        assert.equal(sample(text, 'chat_step_duration_seconds_sum{step="fetch"}'), 0.3);
+        assert.equal(sample(text, 'chat_request_duration_seconds_count{mode="pipeline"}'), 1);
+    });
+
+    it('escapes label values', () => {
+        const metrics = createMetrics();
+        metrics.recordRequest({ mode: 'a"b\\c', outcome: 'error' });
+        assert.match(metrics.render(), /chat_requests_total\{mode="a\\"b\\\\c",outcome="error"\} 1/);
+    });
+});
+
+describe('createHealthCheck', () => {
+    function fakeSources(results) {
+        const sources = Object.keys(results).map(id => ({ id }));
+        return {
+            sources,
+            getClient: source => ({
+                ping: async () => {
+                    if (!results[source.id]) throw new Error('connect ECONNREFUSED');
+                }
+            })
+        };
+    }
+
+    it('reports degraded when only some MCP servers answer', async () => {
+        const health = createHealthCheck({
+            docSources: fakeSources({ training: true, inference: false }),
+            llm: createFakeCerebras(() => ''),
+            logger: silentLogger
+        });
+
+        const report = await health.check();
+        assert.equal(report.status, 'degraded');
+        assert.equal(report.checks.cerebras.ok, true);
+        assert.equal(report.checks.mcp.inference.ok, false);
+        assert.equal(report.checks.mcp.inference.error, undefined);
+    });
+
+    it('is unavailable without the LLM API, or without any docs to answer from', async () => {
+        const llmDown = createFakeCerebras(() => '');
+        llmDown.models.list = async () => { throw new Error('401'); };
+        const noLlm = createHealthCheck({ docSources: fakeSources({ training: true }), llm: llmDown, logger: silentLogger });
+        assert.equal((await noLlm.check()).status, 'unavailable');
+
+        const noDocs = createHealthCheck({ docSources: fakeSources({ training: false }), llm: createFakeCerebras(() => ''), logger: silentLogger });
+        assert.equal((await noDocs.check()).status, 'unavailable');
+
+        const withIndex = createHealthCheck({
+            docSources: fakeSources({ training: false }),
+            llm: createFakeCerebras(() => ''),
+            hasLocalIndex: true,
+            logger: silentLogger
+        });
+        assert.equal((await withIndex.check()).status, 'degraded');
+    });
+
+    it('caches the result for ttlMs', async () => {
+        let time = 0;
+        let pings = 0;
+        const health = createHealthCheck({
+            docSources: { sources: [{ id: 'training' }], getClient: () => ({ ping: async () => { pings += 1; } }) },
+            llm: createFakeCerebras(() => ''),
+            ttlMs: 1000,
+            now: () => time,
+            logger: silentLogger
+        });
+
+        const [first, concurrent] = await Promise.all([health.check(), health.check()]);
+        assert.equal(first.cached, false);
+        assert.equal(concurrent.cached, false);
+        assert.equal((await health.check()).cached, true);
+        assert.equal(pings, 1);
+
+        time = 1500;
+        assert.equal((await health.check()).cached, false);
+        assert.equal(pings, 2);
+    });
+});
+
+describe('/metrics and /health', () => {
+    let mcp;
+    let chat;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+    });
+
+    after(() => close(mcp));
+
+    afterEach(async () => {
+        mcp.failWith = null;
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    function answerLlm() {
+        return createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Install it with pip [1].'));
+    }
+
+    it('counts requests, step latencies and reported tokens', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: answerLlm(), env: { ANSWER_CACHE_TTL_SECONDS: '60' } });
+
+        assert.equal((await postChat(chat, { message: 'How do I install it?' }, { stream: true })).status, 200);
+        assert.equal((await postChat(chat, { message: 'How do I install it?' })).status, 200);
+        assert.equal((await postChat(chat, { mode: 'nope', message: 'Hi' })).status, 400);
+
+        const { status, contentType, text } = await getMetrics(chat);
+        assert.equal(status, 200);
+        assert.match(contentType, /^text\/plain/);
+        assert.equal(sample(text, 'chat_requests_total{mode="pipeline",outcome="answered"}'), 1);
+        assert.equal(sample(text, 'chat_requests_total{mode="pipeline",outcome="cached"}'), 1);
+        assert.equal(sample(text, 'chat_rejected_requests_total{status="400"}'), 1);
+        assert.equal(sample(text, 'chat_mcp_calls_total{source="training",call="search",outcome="ok"}'), 1);
+        assert.equal(sample(text, 'chat_step_duration_seconds_count{step="answer"}'), 1);
+        assert.ok(sample(text, `chat_llm_tokens_total{step="answer",model="${DEFAULT_MODEL}",type="prompt"}`) > 0);
+        assert.ok(sample(text, `chat_llm_tokens_total{step="answer",model="${DEFAULT_MODEL}",type="completion"}`) > 0);
+        assert.ok(sample(text, `chat_llm_tokens_total{step="analyze",model="${DEFAULT_MODEL}",type="prompt"}`) > 0);
+    });
+
+    it('counts MCP failures and answers given without docs', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: answerLlm() });
+        mcp.failWith = 503;
+
+        assert.equal((await postChat(chat, { message: 'How do I install it?' })).status, 200);
+
+        const { text } = await getMetrics(chat);
+        assert.equal(sample(text, 'chat_mcp_calls_total{source="training",call="search",outcome="error"}'), 1);
+        assert.equal(sample(text, 'chat_context_fallbacks_total{mode="pipeline"}'), 1);
+    });
+
+    it('requires METRICS_TOKEN when set', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: answerLlm(), env: { METRICS_TOKEN: 'scrape-secret' } });
+
+        assert.equal((await getMetrics(chat)).status, 401);
+        assert.equal((await getMetrics(chat, { Authorization: 'Bearer scrape-secret' })).status, 200);
+    });
+
+    it('answers /health with 503 when the docs server is down', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: answerLlm(), env: { HEALTH_CACHE_SECONDS: '0' } });
+
+        const up = await fetch(`${chat.url}/health`);
+        const upReport = await up.json();
+        assert.equal(up.status, 200);
+        assert.equal(upReport.status, 'ok');
+        assert.equal(upReport.checks.mcp.training.ok, true);
+
+        mcp.failWith = 503;
+        const down = await fetch(`${chat.url}/health`);
+        assert.equal(down.status, 503);
+        assert.equal((await down.json()).status, 'unavailable');
+
+        const live = await fetch(`${chat.url}/health/live`);
+        assert.equal(live.status, 200);
+    });
+});
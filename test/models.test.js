@@ -0,0 +1,102 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_MODEL, loadModelConfig, findUnknownModels } = require('../lib/models');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, postChat, close } = require('./helpers/backend');
+
+describe('loadModelConfig', () => {
+    it('defaults to the original model and parameters', () => {
+        const { stages, allowedModels } = loadModelConfig({});
+
+        assert.deepEqual(stages.analyze, { model: DEFAULT_MODEL, temperature: 0.3, maxTokens: 200 });
+        assert.deepEqual(stages.answer, { model: DEFAULT_MODEL, temperature: 0.7, maxTokens: 1000 });
+        assert.deepEqual(allowedModels, [DEFAULT_MODEL]);
+    });
+
+    it('reads a YAML file and lets the environment override it', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-config-'));
+        const file = path.join(dir, 'models.yaml');
+        fs.writeFileSync(file, [
+            'model: llama-3.3-70b',
+            'allowedModels: [llama-3.3-70b, gpt-oss-120b]',
+            'stages:',
+            '  analyze:',
+            '    model: llama3.1-8b',
+            '    temperature: 0',
+            '  answer:',
+            '    maxTokens: 2000',
+            '    topP: 0.9'
+        ].join('\n'));
+
+        try {
+            const { stages, allowedModels } = loadModelConfig({
+                MODEL_CONFIG_FILE: file,
+                ANSWER_TEMPERATURE: '0.2'
+            });
+
+            assert.deepEqual(stages.analyze, { model: 'llama3.1-8b', temperature: 0, maxTokens: 200 });
+            assert.deepEqual(stages.answer, { model: 'llama-3.3-70b', temperature: 0.2, maxTokens: 2000, topP: 0.9 });
+            assert.equal(stages.rewrite.model, 'llama-3.3-70b');
+            assert.deepEqual(allowedModels, ['llama-3.3-70b', 'gpt-oss-120b']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects invalid parameters', () => {
+        assert.throws(() => loadModelConfig({ ANALYZE_TEMPERATURE: '5' }), /analyze temperature/);
+        assert.throws(() => loadModelConfig({ ANSWER_MAX_TOKENS: '0' }), /answer maxTokens/);
+    });
+});
+
+describe('findUnknownModels', () => {
+    it('lists configured models the API does not serve', async () => {
+        const llm = createFakeCerebras(() => '', { models: [DEFAULT_MODEL, 'gpt-oss-120b'] });
+        const config = loadModelConfig({ ANALYZE_MODEL: 'llama3.1-8b', ALLOWED_MODELS: 'gpt-oss-120b,llama-4' });
+
+        assert.deepEqual(await findUnknownModels(llm, config), ['llama3.1-8b', 'llama-4']);
+    });
+});
+
+describe('POST /chat with a model', () => {
+    let mcp;
+    let chat;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+    });
+
+    after(() => close(mcp));
+
+    afterEach(async () => {
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    it('answers with an allowed model and rejects unknown ones', async () => {
+        const llm = createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Use pip [1].'));
+        chat = await startChatServer({
+            mcpUrl: mcp.url,
+            llm,
+            env: { ANALYZE_MODEL: 'llama3.1-8b', ANSWER_MAX_TOKENS: '500', ALLOWED_MODELS: 'gpt-oss-120b' }
+        });
+
+        const { status, body } = await postChat(chat, { message: 'Install?', model: 'gpt-oss-120b' });
+        assert.equal(status, 200);
+        assert.equal(body.metadata.model, 'gpt-oss-120b');
+
+        const analyze = llm.calls.find(params => stageOf(params) === 'analyze');
+        const answer = llm.calls.find(params => stageOf(params) === 'answer');
+        assert.equal(analyze.model, 'llama3.1-8b');
+        assert.equal(answer.model, 'gpt-oss-120b');
+        assert.equal(answer.max_tokens, 500);
+
+        const rejected = await postChat(chat, { message: 'Install?', model: 'gpt-5' });
+        assert.equal(rejected.status, 400);
+        assert.equal(rejected.body.error, `Unknown model: gpt-5. Allowed models: ${DEFAULT_MODEL}, gpt-oss-120b`);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { silentLogger, close } = require('./helpers/backend');
+const { createChatBackend } = require('../lib');
+const { createHandler } = require('../netlify/functions/chat');
+const { parseEventStream } = require('../lib/sse');
+
+describe('Netlify chat handler', () => {
+    let mcp;
+    let llm;
+    let handler;
+
+    before(async () => {
+        mcp = await startFakeMcpServer();
+        llm = createFakeCerebras(params => (stageOf(params) === 'analyze' ? pageSelection() : 'Use pip [1].'));
+        handler = createHandler(createChatBackend({
+            env: { DOC_SOURCES: JSON.stringify([{ id: 'training', url: `${mcp.url}/mcp` }]) },
+            llm,
+            logger: silentLogger
+        }));
+    });
+
+    after(() => close(mcp));
+
+    it('answers a POST with JSON', async () => {
+        const result = await handler({ httpMethod: 'POST', body: JSON.stringify({ message: 'Install?' }) });
+        const body = JSON.parse(result.body);
+
+        assert.equal(result.statusCode, 200);
+        assert.equal(result.headers['Access-Control-Allow-Origin'], '*');
+        assert.equal(body.response, 'Use pip [1].');
+        assert.equal(body.sources.length, 2);
+    });
+
+    it('returns the event stream buffered when streaming is requested', async () => {
+        const result = await handler({
+            httpMethod: 'POST',
+            headers: { accept: 'text/event-stream' },
+            body: JSON.stringify({ message: 'Install?' })
+        });
+        const events = parseEventStream(result.body);
+
+        assert.equal(result.headers['Content-Type'], 'text/event-stream');
+        assert.equal(events[events.length - 1].type, 'done');
+    });
+
+    it('rejects other methods and invalid bodies', async () => {
+        assert.equal((await handler({ httpMethod: 'GET' })).statusCode, 405);
+        assert.equal((await handler({ httpMethod: 'POST', body: '{' })).statusCode, 400);
+    });
+
+    it('keeps to the time the function has left', async () => {
+        const context = { getRemainingTimeInMillis: () => 4000 };
+        const result = await handler({ httpMethod: 'POST', body: JSON.stringify({ message: 'Install?' }) }, context);
+        const body = JSON.parse(result.body);
+
+        assert.equal(result.statusCode, 200);
+        assert.deepEqual(body.metadata.degradations, ['skipped-analysis', 'skipped-fetch']);
+        assert.equal(body.sources.length, 2);
+    });
+
+    it('fails fast when the function has no time left to answer', async () => {
+        const calls = llm.calls.length;
+        for (const remaining of [1000, 200]) {
+            const context = { getRemainingTimeInMillis: () => remaining };
+            const result = await handler({ httpMethod: 'POST', body: JSON.stringify({ message: 'Install?' }) }, context);
+
+            assert.equal(result.statusCode, 503);
+            assert.match(JSON.parse(result.body).error, /Not enough time left/);
+        }
+        assert.equal(llm.calls.length, calls);
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeMcpServer } = require('./helpers/fakeMcpServer');
+const { startFixtureSite } = require('./helpers/fixtureSite');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { startChatServer, close } = require('./helpers/backend');
+const { parseEventStream } = require('../lib/sse');
+const { DEFAULT_MODEL } = require('../lib/models');
+
+async function postCompletion(server, body, headers = {}) {
+    const response = await fetch(`${server.url}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    const contentType = response.headers.get('content-type') || '';
+
+    return {
+        status: response.status,
+        contentType,
+        body: contentType.includes('application/json') ? JSON.parse(text) : text
+    };
+}
+
+// Prompt tokens the fake client reported across all its calls
+function promptTokens(llm) {
+    return llm.calls.reduce((sum, params) => sum + Math.ceil(params.messages.reduce((total, msg) => total + (msg.content || '').length, 0) / 4), 0);
+}
+
+describe('POST /v1/chat/completions', () => {
+    let mcp;
+    let site;
+    let chat;
+
+    before(async () => {
+        site = await startFixtureSite();
+        mcp = await startFakeMcpServer({ linkBase: () => site.url });
+    });
+
+    after(async () => {
+        await close(mcp);
+        await close(site);
+    });
+
+    afterEach(async () => {
+        mcp.requests.length = 0;
+        site.requests.length = 0;
+        if (chat) await close(chat);
+        chat = null;
+    });
+
+    function answering(answer) {
+        return createFakeCerebras(params => {
+            if (stageOf(params) === 'analyze') return pageSelection(1);
+            if (stageOf(params) === 'rewrite') return 'How do I train on two systems?';
+            return answer;
+        });
+    }
+
+    it('answers the last user message with the earlier turns as history', async () => {
+        const llm = answering('Pass --num_csx=2 [1].');
+        chat = await startChatServer({ mcpUrl: mcp.url, llm, env: { ALLOWED_MODELS: 'gpt-oss-120b' } });
+
+        const { status, body } = await postCompletion(chat, {
+            model: 'gpt-oss-120b',
+            messages: [
+                { role: 'system', content: 'You are a pirate.' },
+                { role: 'user', content: 'How do I install it?' },
+                { role: 'assistant', content: 'Use pip.' },
+                { role: 'user', content: [{ type: 'text', text: 'And on two systems?' }] }
+            ]
+        });
+
+        assert.equal(status, 200);
+        assert.match(body.id, /^chatcmpl-\w+$/);
+        assert.equal(body.object, 'chat.completion');
+        assert.equal(body.model, 'gpt-oss-120b');
+        assert.equal(typeof body.created, 'number');
+        assert.deepEqual(body.choices, [{
+            index: 0,
+            message: {
+                role: 'assistant',
+                content: `Pass --num_csx=2 [1].\n\nSources:\n[1] Running on multiple nodes (${site.url}/docs/multi-node)`
+            },
+            finish_reason: 'stop'
+        }]);
+
+        assert.equal(body.usage.prompt_tokens, promptTokens(llm));
+        assert.ok(body.usage.completion_tokens > 0);
+        assert.equal(body.usage.total_tokens, body.usage.prompt_tokens + body.usage.completion_tokens);
+
+        const answer = llm.calls.find(params => stageOf(params) === 'answer');
+        assert.ok(answer.messages.every(msg => !msg.content.includes('pirate')));
+        assert.ok(answer.messages.some(msg => msg.role === 'assistant' && msg.content === 'Use pip.'));
+        assert.ok(llm.calls.some(params => stageOf(params) === 'rewrite'));
+    });
+
+    it('streams chunks in the OpenAI delta format ending with [DONE]', async () => {
+        const llm = answering('Pass --num_csx=2 [1] [7].');
+        chat = await startChatServer({ mcpUrl: mcp.url, llm });
+
+        const { status, contentType, body } = await postCompletion(chat, {
+            messages: [{ role: 'user', content: 'How do I train on several nodes?' }],
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        assert.equal(status, 200);
+        assert.match(contentType, /text\/event-stream/);
+        assert.match(body, /^: searching$/m);
+
+        const events = parseEventStream(body).map(event => event.data);
+        assert.equal(events.at(-1), '[DONE]');
+
+        const chunks = events.slice(0, -1).map(data => JSON.parse(data));
+        assert.ok(chunks.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.id === chunks[0].id));
+        assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant', content: '' });
+
+        const content = chunks
+            .filter(chunk => chunk.choices.length > 0)
+            .map(chunk => chunk.choices[0].delta.content || '')
+            .join('');
+        assert.equal(content, `Pass --num_csx=2 [1] [7].\n\nSources:\n[1] Running on multiple nodes (${site.url}/docs/multi-node)`);
+
+        const finish = chunks.at(-2);
+        assert.deepEqual(finish.choices, [{ index: 0, delta: {}, finish_reason: 'stop' }]);
+
+        const usage = chunks.at(-1);
+        assert.deepEqual(usage.choices, []);
+        assert.equal(usage.usage.prompt_tokens, promptTokens(llm));
+        assert.equal(usage.model, DEFAULT_MODEL);
+    });
+
+    it('rejects bad requests with OpenAI errors', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: answering('Unused.'), env: { API_KEYS: 'site:k1' } });
+        const headers = { Authorization: 'Bearer k1' };
+
+        const missing = await postCompletion(chat, { model: DEFAULT_MODEL }, headers);
+        assert.equal(missing.status, 400);
+        assert.deepEqual(missing.body, {
+            error: { message: 'messages must be a non-empty array', type: 'invalid_request_error', param: null, code: null }
+        });
+
+        const assistantLast = await postCompletion(chat, { messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] }, headers);
+        assert.equal(assistantLast.body.error.message, 'The last message must be a user message');
+
+        const unknownModel = await postCompletion(chat, { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] }, headers);
+        assert.equal(unknownModel.status, 400);
+        assert.match(unknownModel.body.error.message, /Unknown model: gpt-4o/);
+
+        const unauthorized = await postCompletion(chat, { messages: [{ role: 'user', content: 'Hi' }] });
+        assert.equal(unauthorized.status, 401);
+        assert.equal(typeof unauthorized.body.error.message, 'string');
+    });
+
+    it('lists the allowed models at /v1/models', async () => {
+        chat = await startChatServer({ mcpUrl: mcp.url, llm: answering('Unused.'), env: { ALLOWED_MODELS: 'llama-3.3-70b,gpt-oss-120b' } });
+
+        const response = await fetch(`${chat.url}/v1/models`);
+        const body = await response.json();
+
+        assert.equal(body.object, 'list');
+        assert.deepEqual(body.data.map(model => model.id), [DEFAULT_MODEL, 'llama-3.3-70b', 'gpt-oss-120b']);
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlossary, expandQuery, needsPlanning, parsePlannedQueries } = require('../lib/queryPlanner');
+const { fuseSearchResults, createSourceRegistry } = require('../lib/docSources');
+const { createChatPipeline } = require('../lib/pipeline');
+const { createCaches } = require('../lib/cache');
+const { createFakeCerebras, stageOf, pageSelection } = require('./helpers/fakeCerebras');
+const { silentLogger } = require('./helpers/backend');
+
+describe('glossary', () => {
+    it('expands whole-word terms the query does not already spell out', () => {
+        const glossary = { CSX: ['CS-3 system'], WSE: ['Wafer-Scale Engine'] };
+
+        assert.deepEqual(expandQuery('How many csx can I use?', glossary), {
+            query: 'How many csx can I use? CS-3 system',
+            expansions: [{ term: 'CSX', added: ['CS-3 system'] }]
+        });
+        assert.deepEqual(expandQuery('What is num_csx?', glossary).expansions, []);
+        assert.deepEqual(expandQuery('WSE (Wafer-Scale Engine) memory', glossary).expansions, []);
+    });
+
+    it('extends the built-in glossary from GLOSSARY, removing terms set to null', () => {
+        const glossary = loadGlossary({ GLOSSARY: '{"MZ": "Model Zoo", "CSX": null}' });
+        assert.deepEqual(glossary.MZ, ['Model Zoo']);
+        assert.equal('CSX' in glossary, false);
+        assert.deepEqual(glossary.WSE, ['Wafer-Scale Engine']);
+
+        assert.throws(() => loadGlossary({ GLOSSARY: '{"MZ": [1]}' }), /needs a list of non-empty expansions/);
+        assert.throws(() => loadGlossary({ GLOSSARY: '["MZ"]' }), /must be a JSON object/);
+    });
+});
+
+describe('query planning helpers', () => {
+    it('plans long, multi-part or multi-line questions', () => {
+        assert.equal(needsPlanning('How do I install the SDK?'), false);
+        assert.equal(needsPlanning('How do I install the SDK? And how do I run on two systems?'), true);
+        assert.equal(needsPlanning('Install the SDK\nthen train'), true);
+        assert.equal(needsPlanning('I want to train a large language model on several systems and keep the checkpoints somewhere safe'), true);
+    });
+
+    it('reads one query per line without list markers or duplicates', () => {
+        assert.deepEqual(parsePlannedQueries('1. install the SDK\n- "run on two systems"\n\n* Install the SDK\nsave checkpoints\nextra', 3), [
+            'install the SDK',
+            'run on two systems',
+            'save checkpoints'
+        ]);
+    });
+});
+
+describe('fuseSearchResults', () => {
+    const docs = { id: 'docs', name: 'Docs' };
+    const sdk = { id: 'sdk', name: 'SDK' };
+    const item = name => ({ title: name, link: `https://docs.example.com/${name}` });
+
+    it('ranks pages several lists agree on first', () => {
+        const fused = fuseSearchResults([
+            { source: docs, items: [item('a'), item('b'), item('c')] },
+            { source: docs, items: [item('d'), item('c')] }
+        ]);
+        assert.deepEqual(fused.map(result => result.title), ['c', 'a', 'd', 'b']);
+    });
+
+    it('takes equally ranked results of each list in turn, labelled with their source', () => {
+        const fused = fuseSearchResults([
+            { source: docs, items: [item('a'), item('b')] },
+            { source: sdk, items: [item('x'), item('y')] }
+        ]);
+        assert.deepEqual(fused.map(result => [result.title, result.sourceId]), [['a', 'docs'], ['x', 'sdk'], ['b', 'docs'], ['y', 'sdk']]);
+    });
+});
+
+describe('multi-query search in the pipeline', () => {
+    const source = { id: 'docs', name: 'Docs', url: 'https://docs.example.com/mcp', searchTool: 'search', allowedDomains: ['docs.example.com'] };
+    const results = {
+        install: ['install', 'release-notes'],
+        systems: ['multi-node', 'release-notes']
+    };
+
+    function createPipeline(settings = {}, { plan = () => '1. install the Cerebras SDK\n2. train on two CSX' } = {}) {
+        const searched = [];
+        const docSources = createSourceRegistry([source], {
+            createClient: () => ({
+                async callTool(name, { query }) {
+                    searched.push(query);
+                    const pages = /install/i.test(query) ? results.install : results.systems;
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: pages.map(page => `Title: ${page}\nLink: https://docs.example.com/${page}\nContent: About ${page}.`).join('\n\n')
+                        }]
+                    };
+                }
+            })
+        });
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) === 'plan') return plan();
+            if (stageOf(params) === 'analyze') return pageSelection();
+            return 'Install it, then set num_csx [1].';
+        });
+        const pipeline = createChatPipeline({
+            llm,
+            docSources,
+            fetcher: async () => ({ status: 404, data: '' }),
+            caches: createCaches({ searchCacheTtlMs: 0, pageCacheTtlMs: 0, answerCacheTtlMs: 0 }, { logger: silentLogger }),
+            logger: silentLogger,
+            settings
+        });
+        return { pipeline, llm, searched };
+    }
+
+    it('searches each planned query, expanded, and fuses the results', async () => {
+        const { pipeline, llm, searched } = createPipeline();
+        const { metadata } = await pipeline.run('How do I install the SDK? And how do I train on two systems?');
+
+        const plan = llm.calls.find(params => stageOf(params) === 'plan');
+        assert.match(plan.messages[1].content, /^<question>\nHow do I install the SDK\? And how do I train on two systems\?\n<\/question>$/);
+
+        assert.deepEqual(metadata.queryPlan, {
+            planned: true,
+            queries: ['install the Cerebras SDK', 'train on two CSX CS-3 system'],
+            expansions: [{ term: 'CSX', added: ['CS-3 system'] }]
+        });
+        assert.deepEqual(searched.sort(), ['install the Cerebras SDK', 'train on two CSX CS-3 system']);
+
+        const analyze = llm.calls.find(params => stageOf(params) === 'analyze').messages[1].content;
+        const order = [...analyze.matchAll(/Title: ([\w-]+)/g)].map(match => match[1]);
+        assert.deepEqual(order, ['release-notes', 'install', 'multi-node']);
+    });
+
+    it('searches short questions as they are, with glossary expansions', async () => {
+        const { pipeline, llm, searched } = createPipeline();
+        const { metadata } = await pipeline.run('How many CSX can I use?');
+
+        assert.equal(llm.calls.some(params => stageOf(params) === 'plan'), false);
+        assert.deepEqual(searched, ['How many CSX can I use? CS-3 system']);
+        assert.equal(metadata.queryPlan.planned, false);
+    });
+
+    it('searches the question itself when planning fails', async () => {
+        const { pipeline, llm, searched } = createPipeline({ queryPlanning: 'always', glossary: {} }, {
+            plan: () => {
+                throw new Error('429 Too Many Requests');
+            }
+        });
+        const { metadata } = await pipeline.run('How do I install?');
+
+        assert.equal(llm.calls.filter(params => stageOf(params) === 'plan').length, 1);
+        assert.deepEqual(searched, ['How do I install?']);
+        assert.deepEqual(metadata.queryPlan, { planned: false, queries: ['How do I install?'], expansions: [] });
+    });
+});
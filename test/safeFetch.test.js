@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { listen } = require('./helpers/fakeMcpServer');
+const { silentLogger, close } = require('./helpers/backend');
+const { createSafeFetcher, isPrivateAddress } = require('../lib/safeFetch');
+
+describe('isPrivateAddress', () => {
+    it('blocks loopback, private, link-local and mapped addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    it('allows public addresses', () => {
+        for (const address of ['8.8.8.8', '172.32.0.1', '104.18.0.1', '2606:4700::1111']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('createSafeFetcher', () => {
+    let site;
+
+    before(async () => {
+        site = await listen(http.createServer((req, res) => {
+            if (req.url === '/page') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end('<h1>Docs</h1>');
+            }
+            if (req.url === '/redirect-local') {
+                res.writeHead(302, { Location: '/page' });
+                return res.end();
+            }
+            if (req.url === '/redirect-away') {
+                res.writeHead(302, { Location: `http://localhost:${site.address().port}/page` });
+                return res.end();
+            }
+            if (req.url === '/image') {
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                return res.end(Buffer.alloc(10));
+            }
+            if (req.url === '/large') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.write('x'.repeat(1000));
+                return res.end('x'.repeat(1000));
+            }
+            if (req.url === '/slow') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.write('<h1>Docs</h1>');
+                const drip = setInterval(() => res.write('.'), 20);
+                return res.on('close', () => clearInterval(drip));
+            }
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        }));
+    });
+
+    after(() => close(site));
+
+    const onlyLoopbackIp = url => new URL(url).hostname === '127.0.0.1';
+
+    it('refuses private address literals', async () => {
+        const fetcher = createSafeFetcher({ logger: silentLogger });
+        await assert.rejects(fetcher(`${site.url}/page`), /private address 127\.0\.0\.1/);
+    });
+
+    it('refuses hostnames that resolve to private addresses', async () => {
+        const fetcher = createSafeFetcher({ logger: silentLogger });
+        await assert.rejects(fetcher(`http://localhost:${site.address().port}/page`), /resolves to private address/);
+    });
+
+    it('fetches from private networks when the source allows it', async () => {
+        const fetcher = createSafeFetcher({ logger: silentLogger });
+        const response = await fetcher(`${site.url}/redirect-local`, { allowPrivateNetworks: true, isAllowedUrl: onlyLoopbackIp });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.data, '<h1>Docs</h1>');
+        assert.equal(response.url, `${site.url}/page`);
+    });
+
+    it('checks every redirect against the allowlist', async () => {
+        const fetcher = createSafeFetcher({ logger: silentLogger });
+        await assert.rejects(
+            fetcher(`${site.url}/redirect-away`, { allowPrivateNetworks: true, isAllowedUrl: onlyLoopbackIp }),
+            /localhost is not an allowed documentation domain/
+        );
+    });
+
+    it('rejects other content types and oversized pages', async () => {
+        const fetcher = createSafeFetcher({ maxBytes: 1500, logger: silentLogger });
+        const options = { allowPrivateNetworks: true };
+
+        await assert.rejects(fetcher(`${site.url}/image`, options), /Unsupported content type image\/png/);
+        await assert.rejects(fetcher(`${site.url}/large`, options), /larger than 1500 bytes/);
+        await assert.rejects(fetcher('file:///etc/passwd', options), /Unsupported protocol/);
+    });
+
+    it('gives up on a body that arrives too slowly', async () => {
+        const fetcher = createSafeFetcher({ logger: silentLogger });
+        const startedAt = Date.now();
+
+        await assert.rejects(fetcher(`${site.url}/slow`, { allowPrivateNetworks: true, timeout: 200 }), /Timed out fetching the page/);
+        assert.ok(Date.now() - startedAt < 1000);
+    });
+});
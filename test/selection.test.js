@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchResults, searchResultText } = require('../lib/searchResults');
+const { parseSelection } = require('../lib/selection');
+const { createChatPipeline } = require('../lib/pipeline');
+const { createSourceRegistry } = require('../lib/docSources');
+const { createCaches } = require('../lib/cache');
+const { createFakeCerebras, stageOf } = require('./helpers/fakeCerebras');
+const { silentLogger } = require('./helpers/backend');
+
+describe('parseSearchResults', () => {
+    it('reads fields that run over several lines', () => {
+        const text = [
+            'Title: Running on multiple nodes',
+            'Link: https://docs.example.com/multi-node',
+            'Content: How to launch a training job',
+            'across several CS-3 systems.',
+            '',
+            'Description: pass --num_csx.',
+            'Title: Install',
+            'URL: https://docs.example.com/install',
+            'Summary: Set up a Python environment.',
+            '---',
+            'Link: https://docs.example.com/untitled'
+        ].join('\n');
+
+        assert.deepEqual(parseSearchResults(text), [
+            {
+                title: 'Running on multiple nodes',
+                link: 'https://docs.example.com/multi-node',
+                content: 'How to launch a training job\nacross several CS-3 systems.\n\nDescription: pass --num_csx.'
+            },
+            { title: 'Install', link: 'https://docs.example.com/install', content: 'Set up a Python environment.' },
+            { title: 'https://docs.example.com/untitled', link: 'https://docs.example.com/untitled', content: '' }
+        ]);
+    });
+
+    it('reads JSON results between text blocks', () => {
+        const text = [
+            'Title: Install',
+            'Link: https://docs.example.com/install',
+            'Content: pip install cerebras_pytorch',
+            '',
+            '---',
+            '',
+            JSON.stringify({ results: [{ name: 'Multi-node', url: 'https://docs.example.com/multi-node', snippet: 'Use --num_csx' }, { content: 'no title' }] })
+        ].join('\n');
+
+        assert.deepEqual(parseSearchResults(text).map(item => item.title), ['Install', 'Multi-node']);
+        assert.equal(parseSearchResults(text)[1].content, 'Use --num_csx');
+    });
+
+    it('writes structured MCP content out as result fields', () => {
+        const structured = searchResultText({
+            content: [{ type: 'text', text: '{"results": []}' }],
+            structuredContent: { results: [{ title: 'Install', url: 'https://docs.example.com/install', content: 'Line one\nLine two' }] }
+        });
+        assert.deepEqual(parseSearchResults(structured), [
+            { title: 'Install', link: 'https://docs.example.com/install', content: 'Line one\nLine two' }
+        ]);
+
+        const resources = searchResultText({
+            content: [
+                { type: 'resource', resource: { uri: 'https://docs.example.com/install', title: 'Install', mimeType: 'text/markdown', text: '# Install' } },
+                { type: 'resource_link', uri: 'https://docs.example.com/multi-node', name: 'multi-node', description: 'Several systems' },
+                { type: 'image', data: '', mimeType: 'image/png' }
+            ]
+        });
+        assert.deepEqual(parseSearchResults(resources).map(item => [item.title, item.link, item.content]), [
+            ['Install', 'https://docs.example.com/install', '# Install'],
+            ['multi-node', 'https://docs.example.com/multi-node', 'Several systems']
+        ]);
+
+        assert.equal(searchResultText({}), null);
+    });
+});
+
+describe('parseSelection', () => {
+    it('ranks valid selections by relevance, keeping each id once and at most three', () => {
+        const reply = JSON.stringify({
+            selections: [
+                { id: 1, relevance: 0.2, reason: 'Related' },
+                { id: 3, relevance: 0.9, reason: 'Exact match' },
+                { id: 3, relevance: 0.5, reason: 'Again' },
+                { id: 2, relevance: 0.6, reason: 'Background' },
+                { id: 4, relevance: 0.7, reason: 'Example' }
+            ]
+        });
+        assert.deepEqual(parseSelection(reply, 4).selections.map(selection => selection.id), [3, 4, 2]);
+        assert.deepEqual(parseSelection('{"selections": []}', 0), { selections: [] });
+    });
+
+    it('says what is wrong with invalid replies', () => {
+        assert.deepEqual(parseSelection('["https://docs.example.com"]', 2), { error: 'the reply must be an object with a selections array' });
+        assert.deepEqual(parseSelection('Result 1 looks best', 2), { error: 'the reply is not valid JSON' });
+        assert.match(parseSelection('{"selections": [{"id": 3, "relevance": 1, "reason": "x"}]}', 2).error, /from 1 to 2/);
+        assert.match(parseSelection('{"selections": [{"id": 1, "relevance": 5, "reason": "x"}]}', 2).error, /relevance/);
+        assert.match(parseSelection('{"selections": [{"id": 1, "relevance": 1}]}', 2).error, /reason/);
+    });
+});
+
+describe('page selection by function call', () => {
+    it('forces the select_pages call and reads its arguments', async () => {
+        const source = { id: 'docs', name: 'Docs', url: 'https://docs.example.com/mcp', searchTool: 'search', allowedDomains: ['docs.example.com'] };
+        const docSources = createSourceRegistry([source], {
+            createClient: () => ({
+                async callTool() {
+                    return {
+                        content: [],
+                        structuredContent: {
+                            results: [
+                                { title: 'Install', url: 'https://docs.example.com/install', content: 'pip install' },
+                                { title: 'Multi-node', url: 'https://docs.example.com/multi-node', content: 'Use --num_csx' }
+                            ]
+                        }
+                    };
+                }
+            })
+        });
+        const llm = createFakeCerebras(params => {
+            if (stageOf(params) !== 'analyze') return 'Use --num_csx=2 [1].';
+            return {
+                role: 'assistant',
+                content: null,
+                tool_calls: [{
+                    id: 'call_1',
+                    type: 'function',
+                    function: { name: 'select_pages', arguments: '{"selections": [{"id": 2, "relevance": 0.8, "reason": "Covers --num_csx"}]}' }
+                }]
+            };
+        });
+        const fetched = [];
+        const pipeline = createChatPipeline({
+            llm,
+            docSources,
+            fetcher: async (url) => {
+                fetched.push(url);
+                return { status: 200, headers: { 'content-type': 'text/plain' }, data: 'Pass --num_csx=2 to use two systems.' };
+            },
+            caches: createCaches({ searchCacheTtlMs: 0, pageCacheTtlMs: 0, answerCacheTtlMs: 0 }, { logger: silentLogger }),
+            logger: silentLogger,
+            settings: { selectionOutput: 'tool' }
+        });
+
+        const { metadata } = await pipeline.run('How do I use two systems?');
+
+        const analyze = llm.calls.find(params => stageOf(params) === 'analyze');
+        assert.equal(analyze.response_format, undefined);
+        assert.deepEqual(analyze.tool_choice, { type: 'function', function: { name: 'select_pages' } });
+        assert.deepEqual(fetched, ['https://docs.example.com/multi-node']);
+        assert.deepEqual(metadata.selection, [{ url: 'https://docs.example.com/multi-node', relevance: 0.8, reason: 'Covers --num_csx' }]);
+    });
+});
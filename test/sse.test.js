@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSSEParser, parseEventStream } = require('../lib/sse');
+
+describe('parseEventStream', () => {
+    it('joins multi-line data and keeps event and id fields', () => {
+        const events = parseEventStream('event: message\nid: 7\ndata: {"a":\ndata: 1}\n\n');
+
+        assert.deepEqual(events, [{ type: 'message', data: '{"a":\n1}', id: '7', retry: null }]);
+    });
+
+    it('returns every event in the stream and skips comments', () => {
+        const events = parseEventStream(': keep-alive\n\ndata: first\n\nevent: log\ndata: second\n\n');
+
+        assert.deepEqual(events.map(event => [event.type, event.data]), [
+            ['message', 'first'],
+            ['log', 'second']
+        ]);
+    });
+
+    it('accepts CRLF and CR line endings', () => {
+        const events = parseEventStream('data: one\r\n\r\ndata: two\r\rdata: three\n\n');
+
+        assert.deepEqual(events.map(event => event.data), ['one', 'two', 'three']);
+    });
+
+    it('drops an event that is not terminated by a blank line', () => {
+        assert.deepEqual(parseEventStream('data: complete\n\ndata: partial'), [
+            { type: 'message', data: 'complete', id: '', retry: null }
+        ]);
+    });
+});
+
+describe('createSSEParser', () => {
+    it('handles lines and CRLF pairs split across chunks', () => {
+        const events = [];
+        const parser = createSSEParser(event => events.push(event.data));
+
+        for (const chunk of ['da', 'ta: hel', 'lo\r', '\n\r', '\ndata: x\n', '\n']) {
+            parser.push(chunk);
+        }
+        parser.end();
+
+        assert.deepEqual(events, ['hello', 'x']);
+    });
+});